@@ -0,0 +1,238 @@
+// pages/api/admin-users.js - list users, change roles, unsuspend and force-logout
+import { createClient } from '@supabase/supabase-js';
+import { ROLES, roleOf, outranks, can, requirePermission } from './permissions.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetFilter } from './pagination.js';
+import { logModerationAction } from './moderationStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+
+const USER_COLUMNS = 'id, username, email, role, suspended, suspension_reason, suspended_at, warning_count, video_count, created_at, last_online';
+
+const USER_ORDER = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+// action -> permission it needs on top of users.list
+const ACTIONS = {
+  set_role: 'users.roles',
+  unsuspend: 'users.suspend',
+  logout: 'users.sessions'
+};
+
+/*
+ * GET  /api/admin-users?q=&role=&suspended=true|false&cursor=&limit=
+ *        -> { users: [...], has_more, next_cursor }   newest accounts first;
+ *           q matches username or email
+ * POST /api/admin-users   { userId, action, role?, reason? }
+ *        set_role    { role: user | creator | moderator | admin }   admins
+ *        unsuspend                                                  moderators and admins
+ *        logout      end every session of the user                   admins
+ *
+ * Needs users.list plus the permission of the action (permissions.js).
+ * Nobody changes their own role, so the last admin cannot demote themselves,
+ * and moderators only unsuspend users below their role. Every action is
+ * written to the moderation audit log.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listUsers(req, res);
+    }
+    return await takeAction(req, res);
+  } catch (err) {
+    console.error('💥 Admin users API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requirePermission(handler, 'users.list');
+
+async function listUsers(req, res) {
+  const { role, suspended } = req.query;
+  if (role && !ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(', ')}` });
+  }
+
+  const pageSize = clampLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const after = parseUserCursor(req.query.cursor);
+  // Characters that mean something in a PostgREST filter are dropped
+  const search = String(req.query.q || '').replace(/[^\w@.+-]/g, '').slice(0, 100);
+
+  let query = supabase
+    .from('users')
+    .select(USER_COLUMNS);
+
+  if (role) query = query.eq('role', role);
+  if (suspended === 'true' || suspended === 'false') query = query.eq('suspended', suspended === 'true');
+
+  // Both filters are ORs, so they go into a single `or` parameter
+  const matches = search ? `or(username.ilike.%${search}%,email.ilike.%${search}%)` : null;
+  const keyset = after ? `or(${keysetFilter(USER_ORDER, after)})` : null;
+  if (matches && keyset) query = query.or(`and(${matches},${keyset})`);
+  else if (matches || keyset) query = query.or(matches || keyset);
+
+  USER_ORDER.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+
+  const { data: rows, error } = await query.limit(pageSize + 1);
+
+  if (error) {
+    console.error('❌ Admin users fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load users' });
+  }
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    success: true,
+    users: page.map(user => ({
+      ...user,
+      role: roleOf(user),
+      suspended: !!user.suspended,
+      warning_count: user.warning_count || 0,
+      video_count: user.video_count || 0
+    })),
+    has_more: hasMore,
+    next_cursor: hasMore && last ? encodeCursor({ created_at: last.created_at, id: last.id }) : null
+  });
+}
+
+async function takeAction(req, res) {
+  const { userId, action, role } = req.body || {};
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!ACTIONS[action]) {
+    return res.status(400).json({ success: false, error: `action must be one of ${Object.keys(ACTIONS).join(', ')}` });
+  }
+  if (!can(req.user, ACTIONS[action])) {
+    return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ success: false, error: `Reasons are limited to ${MAX_REASON_LENGTH} characters` });
+  }
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  const { data: target } = await supabase
+    .from('users')
+    .select('id, email, username, role, suspended')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!target) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+
+  if (action === 'set_role') return await setRole(req, res, target, role, reason);
+  if (action === 'unsuspend') return await unsuspend(req, res, target, reason);
+  return await forceLogout(req, res, target, reason);
+}
+
+async function setRole(req, res, target, role, reason) {
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(', ')}` });
+  }
+  if (target.id === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+  }
+
+  const previous = roleOf(target);
+  if (previous === role) {
+    return res.status(200).json({ success: true, user: { id: target.id, role } });
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({ role })
+    .eq('id', target.id);
+
+  if (error) {
+    console.error('❌ Role update error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to change role' });
+  }
+
+  await logModerationAction(req.user, 'role', 'user', target.id, [`${previous} -> ${role}`, reason].filter(Boolean).join(': '));
+  return res.status(200).json({ success: true, user: { id: target.id, role } });
+}
+
+async function unsuspend(req, res, target, reason) {
+  if (!target.suspended) {
+    return res.status(400).json({ success: false, error: 'This user is not suspended' });
+  }
+  if (roleOf(req.user) !== 'admin' && !outranks(roleOf(req.user), roleOf(target))) {
+    return res.status(403).json({ success: false, error: 'You can only unsuspend users below your own role' });
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({ suspended: false, suspension_reason: null, suspended_at: null })
+    .eq('id', target.id);
+
+  if (error) {
+    console.error('❌ Unsuspend error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to unsuspend user' });
+  }
+
+  await logModerationAction(req.user, 'unsuspend', 'user', target.id, reason);
+  return res.status(200).json({ success: true, user: { id: target.id, suspended: false } });
+}
+
+// Sessions made before the user row existed may only carry the email
+async function forceLogout(req, res, target, reason) {
+  const [byId, byEmail] = await Promise.all([
+    supabase.from('sessions').delete({ count: 'exact' }).eq('user_id', target.id),
+    target.email
+      ? supabase.from('sessions').delete({ count: 'exact' }).eq('user_email', target.email)
+      : { count: 0, error: null }
+  ]);
+
+  if (byId.error || byEmail.error) {
+    console.error('❌ Force logout error:', byId.error || byEmail.error);
+    return res.status(500).json({ success: false, error: 'Failed to end sessions' });
+  }
+
+  const ended = (byId.count || 0) + (byEmail.count || 0);
+  await logModerationAction(req.user, 'logout', 'user', target.id, reason);
+  return res.status(200).json({ success: true, sessions_ended: ended });
+}
+
+// Validate the decoded cursor before it is interpolated into a filter
+function parseUserCursor(cursor) {
+  const key = decodeCursor(cursor);
+  if (!key || !key.created_at || !/^[\w-]+$/.test(String(key.id ?? ''))) return null;
+
+  // Keep the database's own timestamp string: it has microseconds a Date would drop
+  const createdAt = String(key.created_at);
+  if (Number.isNaN(new Date(createdAt).getTime()) || !/^[\d\-:.T+Z ]+$/.test(createdAt)) return null;
+
+  return { created_at: createdAt, id: key.id };
+}
@@ -0,0 +1,438 @@
+// pages/api/comments.js - threaded comments
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetFilter } from './pagination.js';
+import { getViewableVideo } from './videoAccess.js';
+import { can } from './permissions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_COMMENT_LENGTH = 5000;
+const ID_CHUNK_SIZE = 100; // ids per `.in()` filter, keeps the URL short
+const REPLY_PAGE_SIZE = 1000; // PostgREST's default row cap
+
+// Orderings for ?sort=; each ends in `id` so the cursor is unambiguous
+const SORT_ORDERS = {
+  top: [
+    { column: 'likes_count', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  newest: [
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  oldest: [
+    { column: 'created_at', ascending: true },
+    { column: 'id', ascending: true }
+  ]
+};
+
+export const COMMENT_SELECT = `
+  id,
+  user_id,
+  video_id,
+  parent_id,
+  comment_text,
+  likes_count,
+  created_at,
+  edited_at,
+  users (
+    id,
+    username,
+    email,
+    avatar_url,
+    profile_picture
+  )
+`;
+
+/*
+ * GET    /api/comments?videoId=&sort=&cursor=&limit=  top-level comments
+ * GET    /api/comments?parentId=&sort=&cursor=&limit= replies to one comment
+ *        sort: top | newest | oldest (default newest for comments, oldest for replies)
+ * POST   /api/comments            { videoId, text, parentId? }
+ * PATCH  /api/comments?id=        { text }   owner only, sets edited_at
+ * DELETE /api/comments?id=                   comment owner, video owner or moderators
+ *
+ * Threads are two levels deep: replying to a reply attaches the new comment
+ * to the top-level comment of that thread.
+ *
+ * Comments hidden by moderators (moderationStore.js) are left out of threads,
+ * reply counts and totals.
+ *
+ * videos.comments_count (replies included) is recounted after every post and
+ * delete so video listings can show it without counting:
+ *   alter table videos add column comments_count integer not null default 0;
+ *   update videos set comments_count = (select count(*) from comments where video_id = videos.id);
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      return await listComments(req, res);
+    }
+
+    if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    if (req.method === 'POST') return await createComment(req, res);
+    if (req.method === 'PATCH') return await editComment(req, res);
+    return await deleteComment(req, res);
+  } catch (err) {
+    console.error('💥 Comments API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withSession(handler);
+
+async function listComments(req, res) {
+  const { videoId, parentId, cursor, limit } = req.query;
+
+  if (!videoId && !parentId) {
+    return res.status(400).json({ success: false, error: 'videoId or parentId required' });
+  }
+
+  // Comments on a private video are as private as the video
+  let threadVideoId = videoId;
+  if (parentId) {
+    const { data: parent } = await supabase
+      .from('comments')
+      .select('video_id')
+      .eq('id', parentId)
+      .maybeSingle();
+    threadVideoId = parent?.video_id;
+  }
+  if (!await getViewableVideo(threadVideoId, req.user)) {
+    return res.status(404).json({ success: false, error: 'Video not found' });
+  }
+
+  const sort = SORT_ORDERS[req.query.sort] ? req.query.sort : (parentId ? 'oldest' : 'newest');
+  const order = SORT_ORDERS[sort];
+  const pageSize = clampLimit(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const after = parseCommentCursor(cursor, sort);
+
+  let query = supabase
+    .from('comments')
+    .select(COMMENT_SELECT)
+    .is('hidden_at', null);
+
+  order.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+  query = query.limit(pageSize + 1);
+
+  query = parentId
+    ? query.eq('parent_id', parentId)
+    : query.eq('video_id', videoId).is('parent_id', null);
+
+  if (after) {
+    query = query.or(keysetFilter(order, after));
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.error('❌ Comments fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load comments' });
+  }
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const comments = await withCommentStats(page.map(formatComment), req.user);
+  const last = page[page.length - 1];
+
+  let total;
+  if (!parentId) {
+    const { count } = await supabase
+      .from('comments')
+      .select('*', { count: 'exact', head: true })
+      .eq('video_id', videoId)
+      .is('hidden_at', null);
+    total = count || 0;
+  }
+
+  return res.status(200).json({
+    success: true,
+    comments,
+    total,
+    has_more: hasMore,
+    sort,
+    next_cursor: hasMore && last
+      ? encodeCursor({ sort, likes_count: last.likes_count || 0, created_at: last.created_at, id: last.id })
+      : null
+  });
+}
+
+async function createComment(req, res) {
+  const { videoId, parentId } = req.body || {};
+  const text = (req.body?.text || '').trim();
+
+  if (!videoId) return res.status(400).json({ success: false, error: 'Video ID required' });
+  if (!text) return res.status(400).json({ success: false, error: 'Comment text required' });
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ success: false, error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` });
+  }
+
+  const video = await getViewableVideo(videoId, req.user);
+  if (!video) return res.status(404).json({ success: false, error: 'Video not found' });
+
+  let threadId = null;
+  if (parentId) {
+    const { data: parent } = await supabase
+      .from('comments')
+      .select('id, video_id, parent_id')
+      .eq('id', parentId)
+      .maybeSingle();
+
+    if (!parent || parent.video_id !== video.id) {
+      return res.status(404).json({ success: false, error: 'Parent comment not found' });
+    }
+    threadId = parent.parent_id || parent.id;
+  }
+
+  const { data: comment, error } = await supabase
+    .from('comments')
+    .insert({
+      user_id: req.user.id,
+      video_id: video.id,
+      parent_id: threadId,
+      comment_text: text
+    })
+    .select(COMMENT_SELECT)
+    .single();
+
+  if (error) {
+    console.error('❌ Comment insert error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to post comment' });
+  }
+
+  await refreshCommentCount(video.id);
+
+  console.log('✅ Comment posted:', comment.id, threadId ? `(reply to ${threadId})` : '');
+  return res.status(200).json({ ...formatComment(comment), reply_count: 0, hasLiked: false });
+}
+
+async function editComment(req, res) {
+  const { id } = req.query;
+  const text = (req.body?.text || '').trim();
+
+  if (!id) return res.status(400).json({ success: false, error: 'Comment ID required' });
+  if (!text) return res.status(400).json({ success: false, error: 'Comment text required' });
+  if (text.length > MAX_COMMENT_LENGTH) {
+    return res.status(400).json({ success: false, error: `Comments are limited to ${MAX_COMMENT_LENGTH} characters` });
+  }
+
+  const { data: comment } = await supabase
+    .from('comments')
+    .select('id, user_id')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!comment) return res.status(404).json({ success: false, error: 'Comment not found' });
+  if (comment.user_id !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'You can only edit your own comments' });
+  }
+
+  const { data: updated, error } = await supabase
+    .from('comments')
+    .update({ comment_text: text, edited_at: new Date().toISOString() })
+    .eq('id', id)
+    .select(COMMENT_SELECT)
+    .single();
+
+  if (error) {
+    console.error('❌ Comment update error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to edit comment' });
+  }
+
+  const [formatted] = await withCommentStats([formatComment(updated)], req.user);
+  return res.status(200).json(formatted);
+}
+
+async function deleteComment(req, res) {
+  const { id } = req.query;
+  if (!id) return res.status(400).json({ success: false, error: 'Comment ID required' });
+
+  const { data: comment } = await supabase
+    .from('comments')
+    .select('id, user_id, video_id, videos ( user_id )')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (!comment) return res.status(404).json({ success: false, error: 'Comment not found' });
+
+  const isAuthor = comment.user_id === req.user.id;
+  const isVideoOwner = comment.videos?.user_id === req.user.id;
+  if (!isAuthor && !isVideoOwner && !can(req.user, 'moderation.review')) {
+    return res.status(403).json({ success: false, error: 'Not allowed to delete this comment' });
+  }
+
+  // Replies go with their thread, and so do the likes on, reports of and
+  // like notifications about all of them
+  const commentIds = [String(comment.id)];
+  for (let from = 0; ; from += REPLY_PAGE_SIZE) {
+    const { data: replies } = await supabase
+      .from('comments')
+      .select('id')
+      .eq('parent_id', id)
+      .order('id', { ascending: true })
+      .range(from, from + REPLY_PAGE_SIZE - 1);
+
+    commentIds.push(...(replies || []).map(reply => String(reply.id)));
+    if (!replies || replies.length < REPLY_PAGE_SIZE) break;
+  }
+
+  for (let i = 0; i < commentIds.length; i += ID_CHUNK_SIZE) {
+    const chunk = commentIds.slice(i, i + ID_CHUNK_SIZE);
+    await supabase.from('likes').delete().eq('target_type', 'comment').in('target_id', chunk);
+    await supabase.from('reports').delete().eq('target_type', 'comment').in('target_id', chunk);
+    await supabase.from('notifications').delete().eq('type', 'comment_like').in('payload->>comment_id', chunk);
+  }
+
+  const { count: repliesDeleted, error: repliesError } = await supabase
+    .from('comments')
+    .delete({ count: 'exact' })
+    .eq('parent_id', id);
+
+  if (repliesError) {
+    console.error('❌ Reply delete error:', repliesError);
+    return res.status(500).json({ success: false, error: 'Failed to delete comment' });
+  }
+
+  const { error } = await supabase
+    .from('comments')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    console.error('❌ Comment delete error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to delete comment' });
+  }
+
+  await refreshCommentCount(comment.video_id);
+
+  console.log('🗑️ Comment deleted:', id, 'with', repliesDeleted || 0, 'replies');
+  return res.status(200).json({ success: true, id, deleted: 1 + (repliesDeleted || 0) });
+}
+
+/**
+ * Shape a comments row (with its `users` join) for the frontend
+ * @param {object} comment
+ * @returns {object}
+ */
+export function formatComment(comment) {
+  const userData = comment.users || {};
+
+  return {
+    id: comment.id,
+    video_id: comment.video_id,
+    parent_id: comment.parent_id || null,
+    text: comment.comment_text,
+    likes: comment.likes_count || 0,
+    created_at: comment.created_at,
+    edited_at: comment.edited_at,
+    user: {
+      id: userData.id,
+      username: userData.username || 'Anonymous',
+      email: userData.email,
+      avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || 'User')}&background=random`
+    }
+  };
+}
+
+/**
+ * Recount a video's visible comments into videos.comments_count, like
+ * likes_count in like-video.js
+ * @param {string} videoId
+ */
+export async function refreshCommentCount(videoId) {
+  const { count } = await supabase
+    .from('comments')
+    .select('*', { count: 'exact', head: true })
+    .eq('video_id', videoId)
+    .is('hidden_at', null);
+
+  const { error } = await supabase
+    .from('videos')
+    .update({ comments_count: count || 0 })
+    .eq('id', videoId);
+
+  if (error) {
+    console.error('❌ Comment count update error:', error);
+  }
+}
+
+// Reply counts and the viewer's likes for a whole page, one query each
+async function withCommentStats(comments, viewer) {
+  if (comments.length === 0) return comments;
+
+  const ids = comments.map(comment => comment.id);
+
+  const { data: replies } = await supabase
+    .from('comments')
+    .select('parent_id')
+    .in('parent_id', ids)
+    .is('hidden_at', null);
+
+  const counts = {};
+  (replies || []).forEach(reply => {
+    counts[reply.parent_id] = (counts[reply.parent_id] || 0) + 1;
+  });
+
+  const liked = new Set();
+  if (viewer) {
+    const { data: likes } = await supabase
+      .from('likes')
+      .select('target_id')
+      .eq('user_email', viewer.email)
+      .eq('target_type', 'comment')
+      .in('target_id', ids);
+
+    (likes || []).forEach(like => liked.add(String(like.target_id)));
+  }
+
+  return comments.map(comment => ({
+    ...comment,
+    reply_count: counts[comment.id] || 0,
+    hasLiked: liked.has(String(comment.id))
+  }));
+}
+
+// Validate the decoded cursor before it is interpolated into a filter
+function parseCommentCursor(cursor, sort) {
+  const key = decodeCursor(cursor);
+  if (!key || key.sort !== sort || !key.created_at || key.id === undefined) return null;
+
+  // Keep the database's own timestamp string: it has microseconds a Date would drop
+  const createdAt = String(key.created_at);
+  if (Number.isNaN(new Date(createdAt).getTime()) || !/^[\d\-:.T+Z ]+$/.test(createdAt)) return null;
+  if (!/^[\w-]+$/.test(String(key.id))) return null;
+
+  const likesCount = parseInt(key.likes_count, 10);
+  if (!Number.isFinite(likesCount)) return null;
+
+  return { likes_count: likesCount, created_at: createdAt, id: key.id };
+}
@@ -0,0 +1,22 @@
+// pages/api/compute-trending.js - rebuild the cached trending ranking (run by Vercel cron)
+import { computeTrending } from './trending.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Vercel cron sends the CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await computeTrending();
+    console.log('📈 Trending ranking computed:', result);
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('💥 Compute trending error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
@@ -0,0 +1,254 @@
+// pages/api/creator-analytics.js - per-video and channel analytics for creators
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { storagePath, signPaths } from './mediaUrls.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const RANGES = { '7d': 7, '28d': 28, '90d': 90, '365d': 365 };
+const DEFAULT_RANGE = '28d';
+const FETCH_PAGE_SIZE = 1000; // PostgREST's default row cap
+const RETENTION_STEP = 5; // percent
+
+/*
+ * GET /api/creator-analytics?range=28d                 channel totals, daily series, per-video summary
+ * GET /api/creator-analytics?videoId=&range=28d        one video: daily series, totals, retention curve
+ *
+ * range: 7d | 28d | 90d | 365d. Days are UTC.
+ *
+ * Built from the raw events the API already stores: view_events (views,
+ * unique viewers, watch time, retention), likes (target_type 'video') and
+ * comments. They are aggregated in Postgres, which returns one row per day,
+ * one per video and one for the whole range, so no raw event leaves the
+ * database and large channels get exact numbers:
+ *
+ *   create or replace function creator_analytics(
+ *     owner_id uuid, since timestamptz, only_video_id uuid default null
+ *   ) returns table (
+ *     video_id uuid, day date, views bigint, plays bigint, unique_viewers bigint,
+ *     watch_time_seconds bigint, watched_plays bigint, likes bigint, comments bigint
+ *   ) language sql stable as $$
+ *     with owned as (
+ *       select id from videos
+ *       where user_id = owner_id and (only_video_id is null or id = only_video_id)
+ *     ), activity as (
+ *       select o.id as video_id, (e.created_at at time zone 'utc')::date as day, 'play' as kind,
+ *              e.viewer_key, e.counted, e.watched_seconds
+ *         from view_events e join owned o on o.id = e.video_id
+ *         where e.created_at >= since
+ *       union all
+ *       select o.id, (l.created_at at time zone 'utc')::date, 'like', null, false, 0
+ *         from likes l join owned o on l.target_id = o.id::text
+ *         where l.target_type = 'video' and l.created_at >= since
+ *       union all
+ *       select o.id, (c.created_at at time zone 'utc')::date, 'comment', null, false, 0
+ *         from comments c join owned o on o.id = c.video_id
+ *         where c.created_at >= since
+ *     )
+ *     select video_id, day,
+ *            count(*) filter (where kind = 'play' and counted),
+ *            count(*) filter (where kind = 'play'),
+ *            count(distinct viewer_key),
+ *            coalesce(sum(watched_seconds) filter (where kind = 'play' and watched_seconds > 0), 0),
+ *            count(*) filter (where kind = 'play' and watched_seconds > 0),
+ *            count(*) filter (where kind = 'like'),
+ *            count(*) filter (where kind = 'comment')
+ *     from activity
+ *     group by grouping sets ((day), (video_id), ())
+ *     order by video_id nulls first, day nulls first;
+ *   $$;
+ *
+ *   create or replace function video_retention(target_video_id uuid, since timestamptz, step integer)
+ *   returns table (percent integer, viewers numeric)
+ *   language sql stable as $$
+ *     select p, round(100.0 * count(*) filter (where least(1, e.max_position::numeric / v.duration) >= p / 100.0) / count(*), 1)
+ *     from view_events e
+ *     join videos v on v.id = e.video_id
+ *     cross join generate_series(0, 100, step) p
+ *     where e.video_id = target_video_id and e.created_at >= since
+ *       and e.watched_seconds > 0 and v.duration > 0
+ *     group by p
+ *     order by p;
+ *   $$;
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const range = RANGES[req.query.range] ? req.query.range : DEFAULT_RANGE;
+    const days = listDays(RANGES[range]);
+    const since = `${days[0]}T00:00:00.000Z`;
+
+    if (req.query.videoId) {
+      return await videoAnalytics(req, res, { range, days, since });
+    }
+    return await channelAnalytics(req, res, { range, days, since });
+  } catch (err) {
+    console.error('💥 Creator analytics API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function videoAnalytics(req, res, { range, days, since }) {
+  const { data: video } = await supabase
+    .from('videos')
+    .select('id, user_id, title, duration, views, created_at')
+    .eq('id', req.query.videoId)
+    .maybeSingle();
+
+  if (!video || video.user_id !== req.user.id) {
+    return res.status(404).json({ success: false, error: 'Video not found' });
+  }
+
+  const [activity, retention] = await Promise.all([
+    loadActivity(req.user.id, since, video.id),
+    loadRetention(video.id, since)
+  ]);
+
+  return res.status(200).json({
+    success: true,
+    range,
+    video: {
+      id: video.id,
+      title: video.title,
+      duration: video.duration || null,
+      lifetime_views: video.views || 0,
+      created_at: video.created_at
+    },
+    totals: formatTotals(activity.total),
+    series: buildSeries(days, activity.byDay),
+    retention
+  });
+}
+
+async function channelAnalytics(req, res, { range, days, since }) {
+  const { data: videos, error } = await supabase
+    .from('videos')
+    .select('id, title, cover_url, duration, views, created_at')
+    .eq('user_id', req.user.id)
+    .order('created_at', { ascending: false });
+
+  if (error) {
+    console.error('❌ Analytics videos fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load analytics' });
+  }
+
+  const activity = await loadActivity(req.user.id, since);
+  const signedCovers = await signPaths(
+    'covers',
+    (videos || []).map(video => storagePath('covers', video.cover_url)).filter(Boolean)
+  );
+
+  const perVideo = (videos || []).map(video => {
+    const coverPath = storagePath('covers', video.cover_url);
+    return {
+      id: video.id,
+      title: video.title,
+      cover_url: coverPath ? signedCovers.get(coverPath) || null : video.cover_url,
+      lifetime_views: video.views || 0,
+      created_at: video.created_at,
+      ...formatTotals(activity.byVideo.get(video.id))
+    };
+  });
+
+  return res.status(200).json({
+    success: true,
+    range,
+    totals: {
+      ...formatTotals(activity.total),
+      videos: (videos || []).length,
+      lifetime_views: (videos || []).reduce((sum, video) => sum + (video.views || 0), 0)
+    },
+    series: buildSeries(days, activity.byDay),
+    videos: perVideo.sort((a, b) => b.views - a.views)
+  });
+}
+
+// Per-day, per-video and overall aggregates of a creator's videos since `since`
+async function loadActivity(ownerId, since, videoId = null) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .rpc('creator_analytics', { owner_id: ownerId, since, only_video_id: videoId })
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+
+    if (error) throw new Error(error.message);
+    rows.push(...(data || []));
+    if (!data || data.length < FETCH_PAGE_SIZE) break;
+  }
+
+  const activity = { total: null, byDay: new Map(), byVideo: new Map() };
+  rows.forEach(row => {
+    if (row.day) activity.byDay.set(row.day, row);
+    else if (row.video_id) activity.byVideo.set(row.video_id, row);
+    else activity.total = row;
+  });
+  return activity;
+}
+
+// Share of plays that reached each RETENTION_STEP percent of the video
+async function loadRetention(videoId, since) {
+  const { data, error } = await supabase.rpc('video_retention', {
+    target_video_id: videoId,
+    since,
+    step: RETENTION_STEP
+  });
+
+  if (error) throw new Error(error.message);
+  return (data || []).map(point => ({ percent: point.percent, viewers: Number(point.viewers) }));
+}
+
+// An aggregate row (or nothing, when there was no activity) as the API reports it
+function formatTotals(row) {
+  const watchTime = Number(row?.watch_time_seconds || 0);
+  const watchedPlays = Number(row?.watched_plays || 0);
+
+  return {
+    views: Number(row?.views || 0),
+    unique_viewers: Number(row?.unique_viewers || 0),
+    plays: Number(row?.plays || 0),
+    likes: Number(row?.likes || 0),
+    comments: Number(row?.comments || 0),
+    watch_time_seconds: watchTime,
+    avg_watch_seconds: watchedPlays ? Math.round(watchTime / watchedPlays) : 0
+  };
+}
+
+// One entry per day, zero-filled
+function buildSeries(days, byDay) {
+  return days.map(day => {
+    const { views, unique_viewers, likes, comments, avg_watch_seconds } = formatTotals(byDay.get(day));
+    return { date: day, views, unique_viewers, likes, comments, avg_watch_seconds };
+  });
+}
+
+// YYYY-MM-DD for the last `count` UTC days, oldest first
+function listDays(count) {
+  const today = new Date();
+  const days = [];
+  for (let i = count - 1; i >= 0; i--) {
+    const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+    days.push(day.toISOString().slice(0, 10));
+  }
+  return days;
+}
@@ -0,0 +1,277 @@
+// pages/api/events.js - server-sent events for live stats, comments and notifications
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import { COMMENT_SELECT, formatComment } from './comments.js';
+import { formatNotification } from './notificationStore.js';
+import { filterViewable } from './videoAccess.js';
+import { keysetFilter } from './pagination.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const TICK_MS = 2000;
+const MAX_VIDEOS = 60;
+const MAX_EVENTS_PER_TICK = 50;
+// Rows stamped within this long of the database clock wait for the next tick,
+// so writes that commit a little after their timestamp are not skipped
+const COMMIT_LAG_MS = 2000;
+// Serverless functions cannot hold a connection forever; EventSource reconnects
+const STREAM_MS = (parseInt(process.env.EVENTS_STREAM_SECONDS, 10) || 25) * 1000;
+const RETRY_MS = 1000;
+
+/*
+ * GET /api/events?videos=id1,id2&watch=videoId      (text/event-stream)
+ *
+ *   stats          [{ id, views, likes }]       first a snapshot, then only what changed
+ *   comment        { comment, total }            new comments on the `watch` video
+ *   notification   { notification, unread_count } signed-in user only
+ *
+ * One stream replaces per-card polling: every tick runs a single stats query
+ * for all listed videos plus one query each for comments and notifications.
+ * Comments and notifications keep a cursor each, and every event id carries
+ * both ("<time>,<id>|<time>,<id>"), so a reconnecting EventSource resumes
+ * from Last-Event-ID without missing any. A tick reads up to the database's
+ * clock minus COMMIT_LAG_MS; when a feed returns a full page its cursor stops
+ * at the (timestamp, id) of the last row sent and the rest, including rows
+ * with the same timestamp, follows on the next tick. A cursor without an id
+ * is caught up to its time. The statsOnly
+ * polling in /api/view-videos stays as the fallback for clients without
+ * EventSource.
+ *
+ *   create or replace function database_now() returns timestamptz
+ *   language sql stable as $$ select now() $$;
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Last-Event-ID');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const requestedIds = String(req.query.videos || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(id => /^[\w-]+$/.test(id))
+    .slice(0, MAX_VIDEOS);
+  const requestedWatchId = /^[\w-]+$/.test(req.query.watch || '') ? req.query.watch : null;
+  if (requestedWatchId && !requestedIds.includes(requestedWatchId)) requestedIds.push(requestedWatchId);
+
+  // Private videos the viewer may not see are dropped once, up front
+  const videoIds = await getViewableIds(requestedIds, req.user);
+  const watchId = videoIds.includes(requestedWatchId) ? requestedWatchId : null;
+
+  let cursors = parseEventId(req.headers['last-event-id']);
+  if (!cursors) {
+    try {
+      const start = await readUntil();
+      cursors = { comments: { at: start, id: null }, notifications: { at: start, id: null } };
+    } catch (err) {
+      console.error('❌ Events start error:', err);
+      return res.status(500).json({ success: false, error: 'Internal server error' });
+    }
+  }
+  const stream = { cursors, stats: new Map(), closed: false };
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  req.on('close', () => {
+    stream.closed = true;
+  });
+
+  const startedAt = Date.now();
+  try {
+    while (!stream.closed && Date.now() - startedAt < STREAM_MS) {
+      await tick(res, stream, { videoIds, watchId, user: req.user });
+      await new Promise(resolve => setTimeout(resolve, TICK_MS));
+    }
+  } catch (err) {
+    console.error('💥 Events stream error:', err);
+  }
+
+  if (!stream.closed) res.end();
+}
+
+export default withSession(handler);
+
+async function getViewableIds(videoIds, user) {
+  if (videoIds.length === 0) return [];
+
+  const { data: videos, error } = await supabase
+    .from('videos')
+    .select('id, user_id, privacy, hidden_at')
+    .in('id', videoIds);
+
+  if (error) {
+    console.error('❌ Events videos fetch error:', error);
+    return [];
+  }
+  return (await filterViewable(videos, user)).map(video => video.id);
+}
+
+async function tick(res, stream, { videoIds, watchId, user }) {
+  const until = await readUntil();
+  const { cursors } = stream;
+
+  const [stats, comments, notifications] = await Promise.all([
+    videoIds.length > 0 ? pollStats(stream, videoIds) : [],
+    watchId ? pollComments(cursors.comments, until, watchId) : [],
+    user ? pollNotifications(cursors.notifications, until, user.id) : []
+  ]);
+
+  if (stats.length > 0) send(res, eventId(cursors), 'stats', stats);
+
+  if (comments?.length > 0) {
+    const { count } = await supabase
+      .from('comments')
+      .select('*', { count: 'exact', head: true })
+      .eq('video_id', watchId)
+      .is('hidden_at', null);
+    comments.forEach(comment => {
+      cursors.comments = { at: comment.created_at, id: String(comment.id) };
+      send(res, eventId(cursors), 'comment', { comment: formatComment(comment), total: count || 0 });
+    });
+  }
+
+  if (notifications?.length > 0) {
+    const { count } = await supabase
+      .from('notifications')
+      .select('*', { count: 'exact', head: true })
+      .eq('user_id', user.id)
+      .eq('read', false);
+    notifications.forEach(row => {
+      cursors.notifications = { at: row.updated_at, id: String(row.id) };
+      send(res, eventId(cursors), 'notification', {
+        notification: formatNotification(row),
+        unread_count: count || 0
+      });
+    });
+  }
+
+  // A full page leaves its cursor at the last row sent, and so does a failed
+  // poll (null) so the next tick reads the same window again; otherwise the
+  // feed is caught up to `until`
+  if (comments && comments.length < MAX_EVENTS_PER_TICK) cursors.comments = { at: until, id: null };
+  if (notifications && notifications.length < MAX_EVENTS_PER_TICK) cursors.notifications = { at: until, id: null };
+
+  // An id with no data moves Last-Event-ID forward without firing an event
+  res.write(`id: ${eventId(cursors)}\n: keep-alive\n\n`);
+}
+
+// Upper bound of what a tick reads, from the database's clock
+async function readUntil() {
+  const { data, error } = await supabase.rpc('database_now');
+  if (error) throw new Error(`Could not read the database clock: ${error.message}`);
+  return new Date(new Date(data).getTime() - COMMIT_LAG_MS).toISOString();
+}
+
+function eventId({ comments, notifications }) {
+  return [comments, notifications].map(cursor => `${cursor.at},${cursor.id || ''}`).join('|');
+}
+
+// "<time>,<id>|<time>,<id>" -> both cursors; a single cursor counts for both
+function parseEventId(value) {
+  const parts = String(value || '').split('|');
+  const comments = parseCursor(parts[0]);
+  const notifications = parts.length > 1 ? parseCursor(parts[1]) : comments;
+  return comments && notifications ? { comments, notifications } : null;
+}
+
+// Validate a cursor before it is interpolated into a filter. The database's
+// own timestamp string is kept: it has microseconds a Date would drop.
+function parseCursor(value) {
+  const [at, id = ''] = String(value || '').split(',');
+  if (!at || Number.isNaN(new Date(at).getTime()) || !/^[\d\-:.T+Z ]+$/.test(at)) return null;
+  if (!/^[\w-]*$/.test(id)) return null;
+  return { at, id: id || null };
+}
+
+// Rows of a feed ordered by (column, id) that come after `cursor`
+function afterCursor(query, column, cursor) {
+  if (!cursor.id) return query.gt(column, cursor.at);
+  const order = [{ column, ascending: true }, { column: 'id', ascending: true }];
+  return query.or(keysetFilter(order, { [column]: cursor.at, id: cursor.id }));
+}
+
+// Stats of the listed videos that changed since the last tick
+async function pollStats(stream, videoIds) {
+  const { data, error } = await supabase
+    .from('videos')
+    .select('id, views, likes_count')
+    .in('id', videoIds);
+
+  if (error) {
+    console.error('❌ Events stats fetch error:', error);
+    return [];
+  }
+
+  const changed = [];
+  (data || []).forEach(video => {
+    const next = { id: video.id, views: video.views || 0, likes: video.likes_count || 0 };
+    const previous = stream.stats.get(video.id);
+    if (!previous || previous.views !== next.views || previous.likes !== next.likes) {
+      changed.push(next);
+      stream.stats.set(video.id, next);
+    }
+  });
+  return changed;
+}
+
+async function pollComments(cursor, until, videoId) {
+  const query = supabase
+    .from('comments')
+    .select(COMMENT_SELECT)
+    .eq('video_id', videoId)
+    .is('hidden_at', null)
+    .lte('created_at', until);
+
+  const { data, error } = await afterCursor(query, 'created_at', cursor)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(MAX_EVENTS_PER_TICK);
+
+  if (error) {
+    console.error('❌ Events comments fetch error:', error);
+    return null;
+  }
+  return data || [];
+}
+
+// New notifications and grouped ones that gained actors
+async function pollNotifications(cursor, until, userId) {
+  const query = supabase
+    .from('notifications')
+    .select('id, type, payload, read, created_at, updated_at, actors, actor_count')
+    .eq('user_id', userId)
+    .eq('read', false)
+    .lte('updated_at', until);
+
+  const { data, error } = await afterCursor(query, 'updated_at', cursor)
+    .order('updated_at', { ascending: true })
+    .order('id', { ascending: true })
+    .limit(MAX_EVENTS_PER_TICK);
+
+  if (error) {
+    console.error('❌ Events notifications fetch error:', error);
+    return null;
+  }
+  return data || [];
+}
+
+function send(res, id, event, data) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
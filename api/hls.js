@@ -0,0 +1,95 @@
+// pages/api/hls.js - HLS playlists with signed segment URLs
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import { getViewableVideo } from './videoAccess.js';
+import { storagePath, signPaths } from './mediaUrls.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * GET /api/hls?videoId=               master playlist
+ * GET /api/hls?videoId=&rendition=    media playlist of one rendition, e.g. 720p
+ *
+ * The `videos` bucket is private, so the playlists written by transcode.js
+ * are rewritten on the way out: renditions point back here and segments get
+ * signed URLs. Access is checked on every playlist, the same way as for
+ * /api/view-videos?videoId=.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { videoId, rendition } = req.query;
+
+    if (rendition && !/^[\w-]+$/.test(rendition)) {
+      return res.status(400).json({ success: false, error: 'Invalid rendition' });
+    }
+
+    const video = await getViewableVideo(videoId, req.user, 'stream_url, processing_state');
+    const masterPath = video?.processing_state === 'ready' ? storagePath('videos', video.stream_url) : null;
+
+    if (!masterPath) {
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+
+    const hlsDir = masterPath.slice(0, masterPath.lastIndexOf('/'));
+    const playlistPath = rendition ? `${hlsDir}/${rendition}/index.m3u8` : masterPath;
+
+    const { data: file, error } = await supabase.storage
+      .from('videos')
+      .download(playlistPath);
+
+    if (error || !file) {
+      console.error(`❌ Playlist download failed for ${playlistPath}:`, error);
+      return res.status(404).json({ success: false, error: 'Stream not found' });
+    }
+
+    const lines = (await file.text()).split('\n');
+    const body = rendition
+      ? await signSegments(lines, `${hlsDir}/${rendition}`)
+      : lines.map(line => isUri(line)
+        ? `/api/hls?videoId=${encodeURIComponent(video.id)}&rendition=${encodeURIComponent(line.trim().split('/')[0])}`
+        : line);
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    // Well inside the lifetime of the signed segment URLs
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    return res.status(200).send(body.join('\n'));
+  } catch (err) {
+    console.error('💥 HLS API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withSession(handler);
+
+async function signSegments(lines, dir) {
+  const segmentPaths = lines.filter(isUri).map(line => `${dir}/${line.trim()}`);
+  const signed = await signPaths('videos', segmentPaths);
+
+  return lines.map(line => isUri(line) ? signed.get(`${dir}/${line.trim()}`) || line : line);
+}
+
+// Lines that are neither tags nor blank name a playlist or segment
+function isUri(line) {
+  const trimmed = line.trim();
+  return trimmed !== '' && !trimmed.startsWith('#');
+}
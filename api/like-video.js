@@ -1,13 +1,15 @@
 // pages/api/like-video.js (WITH REAL-TIME SUPPORT)
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { requireUser } from './session.js';
+import { notify } from './notificationStore.js';
+import { getViewableVideo } from './videoAccess.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
@@ -23,51 +25,14 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify session
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
-
-    console.log('🔍 Like video request - Session token found:', !!sessionToken);
-
-    if (!sessionToken) {
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-
-    // Get session with user_email
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('user_email, expires_at')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
-
-    if (sessionError || !session) {
-      console.error('Session error:', sessionError);
-      return res.status(401).json({ success: false, error: 'Session expired or invalid' });
-    }
-
-    // Check if session is expired
-    if (new Date(session.expires_at) < new Date()) {
-      await supabase
-        .from('sessions')
-        .delete()
-        .eq('session_token', sessionToken);
-      return res.status(401).json({ success: false, error: 'Session expired' });
-    }
-
-    // Get user by email
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, username')
-      .eq('email', session.user_email)
-      .maybeSingle();
-
-    if (userError || !user) {
-      return res.status(401).json({ success: false, error: 'User not found' });
-    }
-
+    const user = req.user;
     const userEmail = user.email;
     const userId = user.id;
-    const { videoId, action } = req.body; // action: 'like' or 'unlike'
+    const { videoId, commentId, action } = req.body; // action: 'like' or 'unlike'
+
+    if (commentId) {
+      return await handleCommentLike(req, res, user, commentId, action);
+    }
 
     console.log('📝 Like request:', { userEmail, videoId, action });
 
@@ -75,15 +40,10 @@ export default async function handler(req, res) {
       return res.status(400).json({ success: false, error: 'Missing videoId or action' });
     }
 
-    // Verify video exists
-    const { data: video, error: videoError } = await supabase
-      .from('videos')
-      .select('id, user_id, title, likes_count, views')
-      .eq('id', videoId)
-      .maybeSingle();
+    // Verify the video exists and this user may see it
+    const video = await getViewableVideo(videoId, user, 'title, likes_count, views');
 
-    if (videoError || !video) {
-      console.error('Video error:', videoError);
+    if (!video) {
       return res.status(404).json({ success: false, error: 'Video not found' });
     }
 
@@ -147,23 +107,11 @@ export default async function handler(req, res) {
       // Send notification to video owner if not liking own video
       if (videoOwner && videoOwner.id !== userId) {
         try {
-          await supabase
-            .from('notifications')
-            .insert({
-              user_id: videoOwner.id,
-              type: 'video_like',
-              payload: {
-                from_user_id: userId,
-                from_user_email: userEmail,
-                from_username: user.username,
-                video_id: videoId,
-                video_title: video.title,
-                message: `${user.username || 'Someone'} liked your video "${video.title || 'your video'}"`
-              },
-              read: false,
-              created_at: new Date().toISOString()
-            });
-          console.log('📧 Notification sent to video owner');
+          const sent = await notify(videoOwner.id, 'video_like', user, {
+            video_id: videoId,
+            video_title: video.title || 'your video'
+          });
+          if (sent) console.log('📧 Notification sent to video owner');
         } catch (notifError) {
           console.error('Failed to send notification:', notifError);
           // Don't fail the whole request if notification fails
@@ -245,14 +193,113 @@ export default async function handler(req, res) {
   }
 }
 
+export default requireUser(handler);
+
+// Likes on comments share the likes table with target_type 'comment'
+async function handleCommentLike(req, res, user, commentId, action) {
+  if (action !== 'like' && action !== 'unlike') {
+    return res.status(400).json({ success: false, error: 'Invalid action. Use "like" or "unlike"' });
+  }
+
+  console.log('📝 Comment like request:', { userEmail: user.email, commentId, action });
+
+  const { data: comment, error: commentError } = await supabase
+    .from('comments')
+    .select('id, user_id, video_id, comment_text')
+    .eq('id', commentId)
+    .maybeSingle();
+
+  if (commentError || !comment || !await getViewableVideo(comment.video_id, user)) {
+    console.error('Comment error:', commentError);
+    return res.status(404).json({ success: false, error: 'Comment not found' });
+  }
+
+  const { data: existingLike, error: checkError } = await supabase
+    .from('likes')
+    .select('id')
+    .eq('user_email', user.email)
+    .eq('target_type', 'comment')
+    .eq('target_id', commentId)
+    .maybeSingle();
+
+  if (checkError) {
+    console.error('Check like error:', checkError);
+    return res.status(500).json({ success: false, error: 'Error checking like status' });
+  }
+
+  if (action === 'like' && !existingLike) {
+    const { error: insertError } = await supabase
+      .from('likes')
+      .insert({
+        user_email: user.email,
+        target_type: 'comment',
+        target_id: commentId,
+        created_at: new Date().toISOString()
+      });
+
+    if (insertError) {
+      console.error('Insert like error:', insertError);
+      return res.status(500).json({ success: false, error: 'Failed to like comment' });
+    }
+
+    console.log('✅ Comment like added:', { userEmail: user.email, commentId });
+
+    if (comment.user_id !== user.id) {
+      try {
+        await notify(comment.user_id, 'comment_like', user, {
+          video_id: comment.video_id,
+          comment_id: commentId,
+          comment_text: comment.comment_text.slice(0, 50)
+        });
+      } catch (notifError) {
+        console.error('Failed to send notification:', notifError);
+      }
+    }
+  } else if (action === 'unlike' && existingLike) {
+    const { error: deleteError } = await supabase
+      .from('likes')
+      .delete()
+      .eq('user_email', user.email)
+      .eq('target_type', 'comment')
+      .eq('target_id', commentId);
+
+    if (deleteError) {
+      console.error('Delete like error:', deleteError);
+      return res.status(500).json({ success: false, error: 'Failed to unlike comment' });
+    }
+
+    console.log('❌ Comment like removed:', { userEmail: user.email, commentId });
+  }
+
+  const updatedLikes = await getLikeCount(commentId, 'comment');
+
+  // comments.likes_count backs the "top" sort in /api/comments
+  const { error: updateError } = await supabase
+    .from('comments')
+    .update({ likes_count: updatedLikes })
+    .eq('id', commentId);
+
+  if (updateError) {
+    console.error('Failed to update comment like count:', updateError);
+  }
+
+  return res.status(200).json({
+    success: true,
+    likes: updatedLikes,
+    liked: action === 'like',
+    comment_id: commentId,
+    timestamp: Date.now()
+  });
+}
+
 // Helper function to get like count
-async function getLikeCount(videoId) {
+async function getLikeCount(targetId, targetType = 'video') {
   try {
     const { count, error } = await supabase
       .from('likes')
       .select('*', { count: 'exact', head: true })
-      .eq('target_type', 'video')
-      .eq('target_id', videoId);
+      .eq('target_type', targetType)
+      .eq('target_id', targetId);
 
     if (error) {
       console.error('Count error:', error);
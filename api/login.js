@@ -244,7 +244,8 @@ export default async function handler(req, res) {
     if (user.suspended) {
       return res.status(403).json({ 
         success: false, 
-        error: user.suspension_reason || 'Account suspended. Please contact support.' 
+        error: 'Account suspended: ' + (user.suspension_reason || 'Please contact support.'),
+        suspended: true
       });
     }
 
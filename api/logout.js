@@ -1,6 +1,6 @@
 // pages/api/logout.js
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { getSessionToken, clearSessionCookie } from './session.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -13,8 +13,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'];
+    const sessionToken = getSessionToken(req);
 
     if (!sessionToken) {
       return res.status(200).json({ success: true, message: 'Already logged out' });
@@ -31,13 +30,7 @@ export default async function handler(req, res) {
     }
 
     // Clear cookie
-    res.setHeader('Set-Cookie', cookie.serialize('__Host-session_secure', '', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: 0, // Expire immediately
-      path: '/'
-    }));
+    clearSessionCookie(res);
 
     return res.status(200).json({
       success: true,
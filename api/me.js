@@ -1,12 +1,13 @@
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { withSession } from './session.js';
+import { roleOf, permissionsOf } from './permissions.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   // Set CORS headers for Vercel
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
@@ -22,146 +23,14 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Parse cookies
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
-
-    console.log('🔍 Session validation attempt');
-    console.log('📦 Cookies received:', Object.keys(cookies));
-    console.log('🔑 Session token found:', !!sessionToken);
-
-    if (!sessionToken) {
-      return res.status(200).json({ 
-        success: false, 
-        authenticated: false,
-        error: 'No session token found' 
-      });
-    }
-
-    // First, just get the session without the join (to avoid foreign key issues)
-    console.log('📊 Querying sessions table...');
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('*')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
-
-    if (sessionError) {
-      console.error('❌ Session query error:', sessionError);
-      return res.status(500).json({ 
-        success: false, 
-        authenticated: false,
-        error: 'Database error',
-        debug: sessionError.message
-      });
-    }
-
-    console.log('✅ Session found:', !!session);
-    if (session) {
-      console.log('📝 Session details:', {
-        id: session.id,
-        user_id: session.user_id,
-        user_email: session.user_email,
-        expires_at: session.expires_at,
-        verified: session.verified
-      });
-    }
-
-    if (!session) {
-      return res.status(200).json({ 
-        success: false, 
-        authenticated: false,
-        error: 'Session not found' 
-      });
-    }
-
-    // Check if session is expired
-    const now = new Date();
-    const expiresAt = new Date(session.expires_at);
-    
-    console.log('⏰ Session expiry check:', {
-      now: now.toISOString(),
-      expires_at: expiresAt.toISOString(),
-      is_expired: expiresAt < now
-    });
-
-    if (expiresAt < now) {
-      console.log('🗑️ Deleting expired session');
-      await supabase
-        .from('sessions')
-        .delete()
-        .eq('session_token', sessionToken);
-        
-      return res.status(200).json({ 
-        success: false, 
-        authenticated: false,
-        error: 'Session expired' 
-      });
-    }
-
-    // Now get user data using user_email (more reliable than user_id due to FK issues)
-    let user = null;
-    console.log('👤 Fetching user data...');
-    
-    if (session.user_email) {
-      console.log('📧 Using email to find user:', session.user_email);
-      const { data: userByEmail, error: userError } = await supabase
-        .from('users')
-        .select('*')
-        .eq('email', session.user_email)
-        .maybeSingle();
-      
-      user = userByEmail;
-      
-      if (userError) {
-        console.error('❌ User query error:', userError);
-      }
-      
-      console.log('✅ User found by email:', !!userByEmail);
-      
-      // If we found user by email but session has wrong user_id, update it
-      if (userByEmail && (!session.user_id || session.user_id !== userByEmail.id)) {
-        console.log('🔄 Fixing session user_id mismatch');
-        console.log('Old user_id:', session.user_id, 'New user_id:', userByEmail.id);
-        
-        try {
-          await supabase
-            .from('sessions')
-            .update({ user_id: userByEmail.id })
-            .eq('session_token', sessionToken);
-          console.log('✅ Session user_id updated');
-        } catch (updateError) {
-          console.error('⚠️ Could not update session user_id:', updateError.message);
-          // This is expected if the FK constraint fails
-        }
-      }
-    }
-
-    // If still no user, try by user_id (might work if it's a valid UUID in auth.users)
-    if (!user && session.user_id) {
-      console.log('🆔 Trying to find user by ID:', session.user_id);
-      const { data: userById } = await supabase
-        .from('users')
-        .select('*')
-        .eq('id', session.user_id)
-        .maybeSingle();
-      
-      user = userById;
-      console.log('✅ User found by ID:', !!userById);
-    }
+    const user = req.user;
+    const session = req.session;
 
     if (!user) {
-      console.error('❌ No user found for session');
-      // Delete orphaned session
-      await supabase
-        .from('sessions')
-        .delete()
-        .eq('session_token', sessionToken);
-        
       return res.status(200).json({ 
         success: false, 
         authenticated: false,
-        error: 'User account not found' 
+        error: req.authError || 'Not authenticated'
       });
     }
 
@@ -216,6 +85,9 @@ export default async function handler(req, res) {
       google_linked: user.google_linked,
       fbx_avatar_ids: user.fbx_avatar_ids,
       suspended: user.suspended || false,
+      role: roleOf(user),
+      permissions: permissionsOf(user),
+      warning_count: user.warning_count || 0,
       video_count: user.video_count || 0,
       session_expires: session.expires_at
     };
@@ -242,3 +114,5 @@ export default async function handler(req, res) {
     });
   }
 }
+
+export default withSession(handler, { allowSuspended: true });
@@ -0,0 +1,95 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * The `videos` and `covers` buckets are private (Storage > bucket settings >
+ * "Public bucket" off), so unlisted and private media cannot be fetched by
+ * guessing a URL. Every media URL handed to a client is signed here and
+ * expires; rows keep either the storage path or the public URL they were
+ * stored with, and both resolve to the same object.
+ *
+ * HLS playlists reference their segments by relative path, which a signed
+ * playlist URL does not cover, so streams are served through /api/hls.
+ */
+
+// Long enough to finish watching a long video from a single page load
+export const MEDIA_URL_TTL = 6 * 60 * 60;
+
+const MEDIA_FIELDS = {
+  video_url: 'videos',
+  cover_url: 'covers',
+  sprite_url: 'covers',
+  thumbnails_vtt_url: 'covers'
+};
+
+/**
+ * Storage path of an object in `bucket`, from a stored path or a Supabase
+ * storage URL
+ * @param {string} bucket
+ * @param {string|null} stored
+ * @returns {string|null} null for empty values and URLs outside our storage
+ */
+export function storagePath(bucket, stored) {
+  if (!stored || stored.startsWith('blob:')) return null;
+  if (!stored.startsWith('http')) return stored;
+
+  const match = stored.match(new RegExp(`/storage/v1/object/(?:public|sign)/${bucket}/([^?]+)`));
+  return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Signed URLs for objects in one bucket, in a single request
+ * @param {string} bucket
+ * @param {string[]} paths
+ * @returns {Promise<Map<string, string>>} path -> signed URL
+ */
+export async function signPaths(bucket, paths) {
+  const unique = [...new Set(paths)];
+  if (unique.length === 0) return new Map();
+
+  const { data, error } = await supabase.storage
+    .from(bucket)
+    .createSignedUrls(unique, MEDIA_URL_TTL);
+
+  if (error) {
+    console.error(`❌ Failed to sign ${bucket} URLs:`, error);
+    return new Map();
+  }
+  return new Map(data.filter(entry => entry.signedUrl).map(entry => [entry.path, entry.signedUrl]));
+}
+
+/**
+ * Signed media URLs for a page of videos: one signing request per bucket
+ * @param {Array<object>} videos - videos rows
+ * @returns {Promise<Map<string, object>>} video id -> { video_url, cover_url, sprite_url, thumbnails_vtt_url }
+ */
+export async function signVideoMedia(videos) {
+  const pathsByBucket = {};
+  videos.forEach(video => {
+    Object.entries(MEDIA_FIELDS).forEach(([field, bucket]) => {
+      const path = storagePath(bucket, video[field]);
+      if (path) (pathsByBucket[bucket] = pathsByBucket[bucket] || []).push(path);
+    });
+  });
+
+  const signedByBucket = {};
+  await Promise.all(Object.entries(pathsByBucket).map(async ([bucket, paths]) => {
+    signedByBucket[bucket] = await signPaths(bucket, paths);
+  }));
+
+  const media = new Map();
+  videos.forEach(video => {
+    const urls = {};
+    Object.entries(MEDIA_FIELDS).forEach(([field, bucket]) => {
+      const path = storagePath(bucket, video[field]);
+      // External URLs are passed through untouched
+      urls[field] = path ? signedByBucket[bucket]?.get(path) || null : video[field] || null;
+    });
+    media.set(video.id, urls);
+  });
+  return media;
+}
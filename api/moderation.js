@@ -0,0 +1,257 @@
+// pages/api/moderation.js - moderation queue, actions and audit log
+import { createClient } from '@supabase/supabase-js';
+import { requirePermission } from './permissions.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetFilter } from './pagination.js';
+import {
+  REPORT_TARGETS,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  getModerationTarget,
+  applyModerationAction
+} from './moderationStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_REASON_LENGTH = 500;
+
+const QUEUE_ORDER = [
+  { column: 'created_at', ascending: true },
+  { column: 'id', ascending: true }
+];
+const LOG_ORDER = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+/*
+ * GET  /api/moderation?targetType=&cursor=&limit=   open reports, oldest first
+ *        -> { reports: [{ id, reason, details, created_at, reporter, target_type,
+ *             target_id, target, open_reports }], has_more, next_cursor }
+ * GET  /api/moderation?view=log&cursor=&limit=      audit log, newest first
+ * POST /api/moderation   { action, targetType, targetId, reason }
+ *        hide | unhide      video, comment
+ *        warn | suspend     user (the author of reported content is target.user_id)
+ *        dismiss            any target: close its reports without acting
+ *
+ * Moderators and admins only (moderation.review in permissions.js). Every
+ * action but unhide closes the open reports on its target and is written to
+ * the audit log; a reason is required for all of them except dismiss, and for
+ * warn and suspend it is what the user is shown.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    if (req.method === 'POST') {
+      return await takeAction(req, res);
+    }
+    if (req.query.view === 'log') {
+      return await listActions(req, res);
+    }
+    return await listReports(req, res);
+  } catch (err) {
+    console.error('💥 Moderation API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requirePermission(handler, 'moderation.review');
+
+async function listReports(req, res) {
+  const { targetType } = req.query;
+  if (targetType && !REPORT_TARGETS.includes(targetType)) {
+    return res.status(400).json({ success: false, error: 'targetType must be video, comment or user' });
+  }
+
+  const pageSize = clampLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const after = parseQueueCursor(req.query.cursor);
+
+  let query = supabase
+    .from('reports')
+    .select('id, target_type, target_id, reason, details, created_at, reporter:users!reports_reporter_id_fkey ( id, username )')
+    .eq('status', 'open');
+
+  if (targetType) query = query.eq('target_type', targetType);
+  QUEUE_ORDER.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+  if (after) query = query.or(keysetFilter(QUEUE_ORDER, after));
+
+  const { data: rows, error } = await query.limit(pageSize + 1);
+
+  if (error) {
+    console.error('❌ Moderation queue fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load reports' });
+  }
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  const targets = await loadTargets(page);
+  const openCounts = await countOpenReports(page);
+
+  return res.status(200).json({
+    success: true,
+    reports: page.map(report => {
+      const key = `${report.target_type}:${report.target_id}`;
+      return {
+        id: report.id,
+        reason: report.reason,
+        reason_label: REPORT_REASONS[report.reason] || report.reason,
+        details: report.details,
+        created_at: report.created_at,
+        reporter: report.reporter ? { id: report.reporter.id, username: report.reporter.username } : null,
+        target_type: report.target_type,
+        target_id: report.target_id,
+        target: targets.get(key) || null,
+        open_reports: openCounts.get(key) || 1
+      };
+    }),
+    has_more: hasMore,
+    next_cursor: hasMore && last ? encodeCursor({ created_at: last.created_at, id: last.id }) : null
+  });
+}
+
+async function listActions(req, res) {
+  const pageSize = clampLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const after = parseQueueCursor(req.query.cursor);
+
+  let query = supabase
+    .from('moderation_actions')
+    .select('id, action, target_type, target_id, reason, created_at, moderator:users ( id, username )');
+
+  LOG_ORDER.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+  if (after) query = query.or(keysetFilter(LOG_ORDER, after));
+
+  const { data: rows, error } = await query.limit(pageSize + 1);
+
+  if (error) {
+    console.error('❌ Moderation log fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load audit log' });
+  }
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    success: true,
+    actions: page,
+    has_more: hasMore,
+    next_cursor: hasMore && last ? encodeCursor({ created_at: last.created_at, id: last.id }) : null
+  });
+}
+
+async function takeAction(req, res) {
+  const { action, targetType, targetId } = req.body || {};
+  const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+  if (!MODERATION_ACTIONS[action]) {
+    return res.status(400).json({ success: false, error: `action must be one of ${Object.keys(MODERATION_ACTIONS).join(', ')}` });
+  }
+  if (!MODERATION_ACTIONS[action].includes(targetType)) {
+    return res.status(400).json({ success: false, error: `${action} applies to ${MODERATION_ACTIONS[action].join(' or ')} targets` });
+  }
+  if (action !== 'dismiss' && !reason) {
+    return res.status(400).json({ success: false, error: 'A reason is required' });
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return res.status(400).json({ success: false, error: `Reasons are limited to ${MAX_REASON_LENGTH} characters` });
+  }
+
+  const target = await getModerationTarget(targetType, targetId);
+  if (!target) {
+    return res.status(404).json({ success: false, error: `${targetType} not found` });
+  }
+
+  const { error, reportsClosed } = await applyModerationAction(req.user, action, target, reason);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  return res.status(200).json({ success: true, action, target_type: targetType, target_id: target.id, reports_closed: reportsClosed });
+}
+
+// Summaries of the reported videos, comments and users, one query per type
+async function loadTargets(reports) {
+  const idsByType = {};
+  reports.forEach(report => {
+    (idsByType[report.target_type] = idsByType[report.target_type] || new Set()).add(report.target_id);
+  });
+
+  const columns = {
+    video: 'id, user_id, title, privacy, hidden_at, hidden_reason',
+    comment: 'id, user_id, video_id, comment_text, hidden_at',
+    user: 'id, username, suspended, suspension_reason, warning_count'
+  };
+  const tables = { video: 'videos', comment: 'comments', user: 'users' };
+
+  const targets = new Map();
+  await Promise.all(Object.entries(idsByType).map(async ([type, ids]) => {
+    const { data, error } = await supabase
+      .from(tables[type])
+      .select(columns[type])
+      .in('id', [...ids]);
+
+    if (error) {
+      console.error(`❌ Reported ${type} fetch error:`, error);
+      return;
+    }
+    (data || []).forEach(row => targets.set(`${type}:${row.id}`, row));
+  }));
+  return targets;
+}
+
+// How many open reports each target on the page has in total
+async function countOpenReports(reports) {
+  const counts = new Map();
+  const targetIds = [...new Set(reports.map(report => report.target_id))];
+  if (targetIds.length === 0) return counts;
+
+  const { data } = await supabase
+    .from('reports')
+    .select('target_type, target_id')
+    .eq('status', 'open')
+    .in('target_id', targetIds);
+
+  (data || []).forEach(row => {
+    const key = `${row.target_type}:${row.target_id}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+}
+
+// Validate the decoded cursor before it is interpolated into a filter
+function parseQueueCursor(cursor) {
+  const key = decodeCursor(cursor);
+  if (!key || !key.created_at || !/^[\w-]+$/.test(String(key.id ?? ''))) return null;
+
+  // Keep the database's own timestamp string: it has microseconds a Date would drop
+  const createdAt = String(key.created_at);
+  if (Number.isNaN(new Date(createdAt).getTime()) || !/^[\d\-:.T+Z ]+$/.test(createdAt)) return null;
+
+  return { created_at: createdAt, id: key.id };
+}
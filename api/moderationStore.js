@@ -0,0 +1,265 @@
+import { createClient } from '@supabase/supabase-js';
+import { notify } from './notificationStore.js';
+import { refreshCommentCount } from './comments.js';
+import { roleOf, outranks } from './permissions.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * reports: id, reporter_id, target_type, target_id, reason, details, status,
+ *   created_at, resolved_at, resolved_by
+ *   create table reports (
+ *     id uuid primary key default gen_random_uuid(),
+ *     reporter_id uuid not null references users (id) on delete cascade,
+ *     target_type text not null,              -- video | comment | user
+ *     target_id text not null,
+ *     reason text not null,
+ *     details text,
+ *     status text not null default 'open',    -- open | actioned | dismissed
+ *     created_at timestamptz not null default now(),
+ *     resolved_at timestamptz,
+ *     resolved_by uuid references users (id),
+ *     unique (reporter_id, target_type, target_id)
+ *   );
+ *   create index reports_open_idx on reports (created_at, id) where status = 'open';
+ *
+ * moderation_actions (audit log, never updated or deleted):
+ *   create table moderation_actions (
+ *     id uuid primary key default gen_random_uuid(),
+ *     moderator_id uuid not null references users (id),
+ *     action text not null,                   -- hide | unhide | warn | suspend | dismiss,
+ *                                             -- and from /api/admin-users: unsuspend | role | logout
+ *     target_type text not null,
+ *     target_id text not null,
+ *     reason text,
+ *     created_at timestamptz not null default now()
+ *   );
+ *
+ *   alter table users
+ *     add column warning_count integer not null default 0,
+ *     add column suspended_at timestamptz;
+ *   alter table videos
+ *     add column hidden_at timestamptz,
+ *     add column hidden_reason text,
+ *     add column hidden_privacy text;
+ *   alter table comments add column hidden_at timestamptz;
+ *
+ * A hidden video is stored as private, like an unpublished one (see
+ * videoStore.js), so listings and search drop it without knowing about
+ * moderation; its own privacy waits in hidden_privacy and canViewVideo keeps
+ * it from the allowlist too. Hidden comments are left out of threads and
+ * counts. Suspending sets users.suspended and suspension_reason, which login,
+ * /api/me and every session check already honour.
+ */
+
+export const REPORT_TARGETS = ['video', 'comment', 'user'];
+
+export const REPORT_REASONS = {
+  spam: 'Spam or misleading',
+  harassment: 'Harassment or bullying',
+  hate: 'Hateful content',
+  violence: 'Violent or dangerous content',
+  sexual: 'Sexual content',
+  copyright: 'Infringes my rights',
+  other: 'Something else'
+};
+
+export const MODERATION_ACTIONS = {
+  hide: ['video', 'comment'],
+  unhide: ['video', 'comment'],
+  warn: ['user'],
+  suspend: ['user'],
+  dismiss: REPORT_TARGETS
+};
+
+// The only identity a moderated user sees
+const MODERATION_ACTOR_NAME = 'Vibro moderators';
+
+/**
+ * Load what a report or action points at, with its owner
+ * @param {string} targetType - video | comment | user
+ * @param {string} targetId
+ * @returns {Promise<object|null>} { type, id, owner_id, ...summary } or null when missing
+ */
+export async function getModerationTarget(targetType, targetId) {
+  if (!targetId) return null;
+
+  if (targetType === 'video') {
+    const { data } = await supabase
+      .from('videos')
+      .select('id, user_id, title, privacy, hidden_at, hidden_reason, hidden_privacy, publish_state')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data && { type: 'video', owner_id: data.user_id, ...data };
+  }
+
+  if (targetType === 'comment') {
+    const { data } = await supabase
+      .from('comments')
+      .select('id, user_id, video_id, comment_text, hidden_at')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data && { type: 'comment', owner_id: data.user_id, ...data };
+  }
+
+  if (targetType === 'user') {
+    const { data } = await supabase
+      .from('users')
+      .select('id, username, role, suspended, suspension_reason, warning_count')
+      .eq('id', targetId)
+      .maybeSingle();
+    return data && { type: 'user', owner_id: data.id, ...data };
+  }
+
+  return null;
+}
+
+/**
+ * Carry out one moderator action on a target, close the open reports on it
+ * and record it in the audit log
+ * @param {object} moderator - users row
+ * @param {string} action - a MODERATION_ACTIONS key
+ * @param {object} target - from getModerationTarget
+ * @param {string} reason
+ * @returns {Promise<{ error: string|null, reportsClosed: number }>}
+ */
+export async function applyModerationAction(moderator, action, target, reason) {
+  let error = null;
+
+  if (action === 'hide') error = await setHidden(target, true, reason);
+  if (action === 'unhide') error = await setHidden(target, false, reason);
+  if (action === 'warn') error = await warnUser(moderator, target, reason);
+  if (action === 'suspend') error = await suspendUser(moderator, target, reason);
+
+  if (error) return { error, reportsClosed: 0 };
+
+  const reportsClosed = action === 'unhide'
+    ? 0
+    : await closeReports(target.type, target.id, moderator.id, action === 'dismiss' ? 'dismissed' : 'actioned');
+
+  await logModerationAction(moderator, action, target.type, target.id, reason);
+  return { error: null, reportsClosed };
+}
+
+/**
+ * Append an entry to the moderation audit log
+ * @param {object} moderator - who acted (needs id)
+ * @param {string} action
+ * @param {string} targetType - video | comment | user
+ * @param {string} targetId
+ * @param {string|null} reason
+ */
+export async function logModerationAction(moderator, action, targetType, targetId, reason) {
+  const { error } = await supabase
+    .from('moderation_actions')
+    .insert({
+      moderator_id: moderator.id,
+      action,
+      target_type: targetType,
+      target_id: String(targetId),
+      reason: reason || null,
+      created_at: new Date().toISOString()
+    });
+
+  if (error) {
+    console.error('❌ Moderation log insert error:', error);
+  }
+  console.log(`🛡️ ${moderator.id} ${action} ${targetType} ${targetId}`);
+}
+
+async function setHidden(target, hiding, reason) {
+  if (!!target.hidden_at === hiding) {
+    return hiding ? `This ${target.type} is already hidden` : `This ${target.type} is not hidden`;
+  }
+
+  if (target.type === 'comment') {
+    const { error } = await supabase
+      .from('comments')
+      .update({ hidden_at: hiding ? new Date().toISOString() : null })
+      .eq('id', target.id);
+
+    if (error) {
+      console.error('❌ Comment hide error:', error);
+      return 'Failed to update comment';
+    }
+    await refreshCommentCount(target.video_id);
+    return null;
+  }
+
+  const updates = hiding
+    ? { hidden_at: new Date().toISOString(), hidden_reason: reason, hidden_privacy: target.privacy, privacy: 'private' }
+    : { hidden_at: null, hidden_reason: null, hidden_privacy: null, privacy: target.hidden_privacy || 'private' };
+
+  const { error } = await supabase
+    .from('videos')
+    .update(updates)
+    .eq('id', target.id);
+
+  if (error) {
+    console.error('❌ Video hide error:', error);
+    return 'Failed to update video';
+  }
+  return null;
+}
+
+async function warnUser(moderator, target, reason) {
+  const { count } = await supabase
+    .from('moderation_actions')
+    .select('*', { count: 'exact', head: true })
+    .eq('action', 'warn')
+    .eq('target_type', 'user')
+    .eq('target_id', String(target.id));
+
+  // This warning is logged after the update, hence the + 1
+  const { error } = await supabase
+    .from('users')
+    .update({ warning_count: (count || 0) + 1 })
+    .eq('id', target.id);
+
+  if (error) {
+    console.error('❌ Warning count update error:', error);
+    return 'Failed to warn user';
+  }
+
+  await notify(target.id, 'moderation_warning', { id: moderator.id, username: MODERATION_ACTOR_NAME }, { reason });
+  return null;
+}
+
+async function suspendUser(moderator, target, reason) {
+  if (target.id === moderator.id) return 'You cannot suspend yourself';
+  if (!outranks(roleOf(moderator), roleOf(target))) return 'You can only suspend users below your own role';
+  if (target.suspended) return 'This user is already suspended';
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      suspended: true,
+      suspension_reason: reason,
+      suspended_at: new Date().toISOString()
+    })
+    .eq('id', target.id);
+
+  if (error) {
+    console.error('❌ Suspend error:', error);
+    return 'Failed to suspend user';
+  }
+  return null;
+}
+
+async function closeReports(targetType, targetId, moderatorId, status) {
+  const { count, error } = await supabase
+    .from('reports')
+    .update({ status, resolved_at: new Date().toISOString(), resolved_by: moderatorId }, { count: 'exact' })
+    .eq('target_type', targetType)
+    .eq('target_id', String(targetId))
+    .eq('status', 'open');
+
+  if (error) {
+    console.error('❌ Report resolve error:', error);
+    return 0;
+  }
+  return count || 0;
+}
@@ -0,0 +1,91 @@
+// pages/api/notification-preferences.js - which notification types a user receives
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { NOTIFICATION_TYPES, resolvePreferences } from './notificationStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * GET   /api/notification-preferences
+ *   -> { preferences: { video_like: true, ... }, types: [{ type, label }] }
+ * PATCH /api/notification-preferences   { preferences: { video_like: false } }
+ *
+ * Turning a type off stops new notifications of that type from being
+ * created; existing ones are kept. Required types (moderator warnings) are
+ * not listed and cannot be turned off.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'PATCH') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { data: user } = await supabase
+      .from('users')
+      .select('notification_preferences')
+      .eq('id', req.user.id)
+      .maybeSingle();
+
+    const stored = user?.notification_preferences || {};
+
+    if (req.method === 'GET') {
+      return res.status(200).json(formatResponse(stored));
+    }
+
+    const changes = req.body?.preferences;
+    if (!changes || typeof changes !== 'object') {
+      return res.status(400).json({ success: false, error: 'preferences object required' });
+    }
+
+    const invalid = Object.entries(changes)
+      .find(([type, enabled]) => !NOTIFICATION_TYPES[type] || NOTIFICATION_TYPES[type].required || typeof enabled !== 'boolean');
+    if (invalid) {
+      return res.status(400).json({ success: false, error: `Invalid preference: ${invalid[0]}` });
+    }
+
+    const updated = { ...stored, ...changes };
+    const { error } = await supabase
+      .from('users')
+      .update({ notification_preferences: updated })
+      .eq('id', req.user.id);
+
+    if (error) {
+      console.error('❌ Notification preferences update error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to save preferences' });
+    }
+
+    console.log(`🔔 Notification preferences updated for ${req.user.id}`);
+    return res.status(200).json(formatResponse(updated));
+  } catch (err) {
+    console.error('💥 Notification preferences API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+function formatResponse(stored) {
+  return {
+    success: true,
+    preferences: resolvePreferences(stored),
+    types: Object.entries(NOTIFICATION_TYPES)
+      .filter(([, { required }]) => !required)
+      .map(([type, { label }]) => ({ type, label }))
+  };
+}
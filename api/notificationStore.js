@@ -0,0 +1,242 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * notifications: id, user_id, type, payload, read, created_at,
+ *   group_key, actors, actor_count, updated_at
+ *
+ *   alter table notifications
+ *     add column group_key text,
+ *     add column actors jsonb not null default '[]',
+ *     add column actor_count integer not null default 1,
+ *     add column updated_at timestamptz not null default now();
+ *   update notifications set updated_at = created_at;
+ *   create unique index notifications_unread_group_idx
+ *     on notifications (user_id, group_key) where not read and group_key is not null;
+ *   alter table notifications alter column created_at set default now();
+ *
+ *   create or replace function stamp_notification() returns trigger
+ *   language plpgsql as $$
+ *   begin
+ *     new.updated_at := now();
+ *     return new;
+ *   end $$;
+ *   create trigger notifications_stamp
+ *     before insert or update of actors, actor_count, payload on notifications
+ *     for each row execute function stamp_notification();
+ *
+ * Grouped types fold repeat activity on the same target into the recipient's
+ * unread row for it ("Alice and 4 others liked your video"): actors keeps the
+ * latest MAX_ACTORS people, actor_count all of them, and updated_at moves the
+ * row back to the top. Once read, the next activity starts a new row.
+ * Timestamps come from the database clock, never the function host's, because
+ * /api/events reads new notifications up to database_now().
+ *
+ * users.notification_preferences is a map of type -> false for the types a
+ * user has turned off; everything else, and every required type, is delivered.
+ */
+
+// groupBy: payload field whose repeats fold into one notification (null: never grouped)
+// target: payload field quoted at the end of the message
+// required: always delivered; not offered in the preferences
+export const NOTIFICATION_TYPES = {
+  video_like: { label: 'Likes on your videos', groupBy: 'video_id', verb: 'liked your video', target: 'video_title' },
+  comment_like: { label: 'Likes on your comments', groupBy: 'comment_id', verb: 'liked your comment', target: 'comment_text' },
+  video_upload: { label: 'New uploads from subscriptions', groupBy: null, verb: 'uploaded', target: 'video_title' },
+  moderation_warning: { label: 'Warnings from moderators', groupBy: null, verb: 'warned you about', target: 'reason', required: true }
+};
+
+const MAX_ACTORS = 3;
+const ID_CHUNK_SIZE = 100; // ids per `.in()` lookup, keeps the GET URL short
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * A user's effective preferences: every known type, on unless turned off
+ * @param {object|null} stored - users.notification_preferences
+ * @returns {Object<string, boolean>}
+ */
+export function resolvePreferences(stored) {
+  const preferences = {};
+  Object.entries(NOTIFICATION_TYPES).forEach(([type, { required }]) => {
+    preferences[type] = required || stored?.[type] !== false;
+  });
+  return preferences;
+}
+
+/**
+ * Notify one user, respecting their preferences and folding grouped types
+ * into an existing unread notification
+ * @param {string} userId - recipient
+ * @param {string} type - a NOTIFICATION_TYPES key
+ * @param {object} actor - who caused it (id, username)
+ * @param {object} payload - type-specific fields (video_id, video_title, comment_id, ...)
+ * @returns {Promise<boolean>} whether a notification was written
+ */
+export async function notify(userId, type, actor, payload) {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition || !userId || userId === actor?.id) return false;
+
+  const { data: recipient } = await supabase
+    .from('users')
+    .select('notification_preferences')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!recipient || !resolvePreferences(recipient.notification_preferences)[type]) return false;
+
+  const groupKey = definition.groupBy ? `${type}:${payload[definition.groupBy]}` : null;
+  const actorEntry = { id: actor.id, username: actor.username || null };
+
+  // A concurrent writer may create the unread group row between our read and insert
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (groupKey && await mergeIntoGroup(userId, groupKey, actorEntry, payload)) return true;
+
+    const { error } = await supabase
+      .from('notifications')
+      .insert({
+        user_id: userId,
+        type,
+        payload: { ...payload, from_user_id: actor.id, from_username: actor.username || null },
+        group_key: groupKey,
+        actors: [actorEntry],
+        actor_count: 1,
+        read: false
+      });
+
+    if (!error) return true;
+    if (error.code !== UNIQUE_VIOLATION) {
+      console.error('❌ Notification insert error:', error);
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Notify many users at once (ungrouped types only), skipping those who turned the type off
+ * @param {string[]} userIds
+ * @param {string} type
+ * @param {object} actor - id, username
+ * @param {object} payload
+ * @returns {Promise<number>} notifications written
+ */
+export async function notifyMany(userIds, type, actor, payload) {
+  if (!NOTIFICATION_TYPES[type] || userIds.length === 0) return 0;
+
+  const skip = new Set();
+  for (let i = 0; i < userIds.length; i += ID_CHUNK_SIZE) {
+    const { data: optedOut, error: prefsError } = await supabase
+      .from('users')
+      .select('id')
+      .in('id', userIds.slice(i, i + ID_CHUNK_SIZE))
+      .eq(`notification_preferences->>${type}`, 'false');
+
+    if (prefsError) {
+      console.error('❌ Notification preferences fetch error:', prefsError);
+      return 0;
+    }
+    (optedOut || []).forEach(user => skip.add(user.id));
+  }
+
+  const rows = userIds
+    .filter(userId => !skip.has(userId) && userId !== actor.id)
+    .map(userId => ({
+      user_id: userId,
+      type,
+      payload: { ...payload, from_user_id: actor.id, from_username: actor.username || null },
+      group_key: null,
+      actors: [{ id: actor.id, username: actor.username || null }],
+      actor_count: 1,
+      read: false
+    }));
+
+  if (rows.length === 0) return 0;
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert(rows);
+
+  if (error) {
+    console.error('❌ Notification insert error:', error);
+    return 0;
+  }
+  return rows.length;
+}
+
+/**
+ * Shape a notifications row for the client, including the grouped message
+ * @param {object} row
+ * @returns {object}
+ */
+export function formatNotification(row) {
+  const payload = row.payload || {};
+  const actors = row.actors?.length
+    ? row.actors
+    : [{ id: payload.from_user_id, username: payload.from_username || null }];
+  const actorCount = row.actor_count || 1;
+
+  return {
+    id: row.id,
+    type: row.type,
+    read: !!row.read,
+    actors,
+    actor_count: actorCount,
+    video_id: payload.video_id || null,
+    comment_id: payload.comment_id || null,
+    message: buildMessage(row.type, actors, actorCount, payload),
+    created_at: row.created_at,
+    updated_at: row.updated_at || row.created_at
+  };
+}
+
+function buildMessage(type, actors, actorCount, payload) {
+  const definition = NOTIFICATION_TYPES[type];
+  if (!definition) return payload.message || 'New notification';
+
+  const names = actors.map(actor => actor.username || 'Someone');
+  let who = names[0];
+  if (actorCount === 2 && names.length > 1) {
+    who = `${names[0]} and ${names[1]}`;
+  } else if (actorCount > 1) {
+    const others = actorCount - 1;
+    who = `${names[0]} and ${others} ${others === 1 ? 'other' : 'others'}`;
+  }
+
+  const target = payload[definition.target];
+  return target ? `${who} ${definition.verb} "${target}"` : `${who} ${definition.verb}`;
+}
+
+// Fold an actor into the user's unread notification for the group, if there is one
+async function mergeIntoGroup(userId, groupKey, actorEntry, payload) {
+  const { data: existing } = await supabase
+    .from('notifications')
+    .select('id, payload, actors, actor_count')
+    .eq('user_id', userId)
+    .eq('group_key', groupKey)
+    .eq('read', false)
+    .maybeSingle();
+
+  if (!existing) return false;
+
+  const actors = existing.actors || [];
+  const isNew = !actors.some(actor => actor.id === actorEntry.id);
+
+  const { data: updated } = await supabase
+    .from('notifications')
+    .update({
+      actors: [actorEntry, ...actors.filter(actor => actor.id !== actorEntry.id)].slice(0, MAX_ACTORS),
+      actor_count: (existing.actor_count || 1) + (isNew ? 1 : 0),
+      payload: { ...existing.payload, ...payload }
+    })
+    .eq('id', existing.id)
+    .eq('read', false)
+    .select('id')
+    .maybeSingle();
+
+  // Marked read in the meantime: start a new group
+  return !!updated;
+}
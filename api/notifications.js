@@ -0,0 +1,156 @@
+// pages/api/notifications.js - the signed-in user's notifications
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetFilter } from './pagination.js';
+import { formatNotification } from './notificationStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+// Latest activity first; grouped notifications move up when they grow
+const ORDER = [
+  { column: 'updated_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+/*
+ * GET   /api/notifications?unread=true&cursor=&limit=   page of notifications
+ *   -> { notifications, unread_count, has_more, next_cursor }
+ * GET   /api/notifications?countOnly=true                -> { unread_count }
+ * PATCH /api/notifications   { id }                      mark one as read
+ * PATCH /api/notifications   { all: true }               mark all as read
+ *
+ * Which types are created at all is set through /api/notification-preferences.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query.countOnly === 'true') {
+        return res.status(200).json({ success: true, unread_count: await countUnread(req.user.id) });
+      }
+      return await listNotifications(req, res);
+    }
+
+    if (req.method === 'PATCH') {
+      return await markRead(req, res);
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (err) {
+    console.error('💥 Notifications API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function listNotifications(req, res) {
+  const pageSize = clampLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const after = parseNotificationCursor(req.query.cursor);
+
+  let query = supabase
+    .from('notifications')
+    .select('id, type, payload, read, created_at, updated_at, actors, actor_count')
+    .eq('user_id', req.user.id);
+
+  ORDER.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+  query = query.limit(pageSize + 1);
+
+  if (req.query.unread === 'true') {
+    query = query.eq('read', false);
+  }
+  if (after) {
+    query = query.or(keysetFilter(ORDER, after));
+  }
+
+  const { data: rows, error } = await query;
+
+  if (error) {
+    console.error('❌ Notifications fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load notifications' });
+  }
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return res.status(200).json({
+    success: true,
+    notifications: page.map(formatNotification),
+    unread_count: await countUnread(req.user.id),
+    has_more: hasMore,
+    next_cursor: hasMore && last
+      ? encodeCursor({ updated_at: last.updated_at, id: last.id })
+      : null
+  });
+}
+
+async function markRead(req, res) {
+  const { id, all } = req.body || {};
+
+  if (!id && all !== true) {
+    return res.status(400).json({ success: false, error: 'id or all: true required' });
+  }
+
+  let query = supabase
+    .from('notifications')
+    .update({ read: true })
+    .eq('user_id', req.user.id)
+    .eq('read', false);
+
+  if (!all) {
+    query = query.eq('id', id);
+  }
+
+  const { error } = await query;
+
+  if (error) {
+    console.error('❌ Mark notifications read error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update notifications' });
+  }
+
+  return res.status(200).json({ success: true, unread_count: await countUnread(req.user.id) });
+}
+
+async function countUnread(userId) {
+  const { count } = await supabase
+    .from('notifications')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('read', false);
+
+  return count || 0;
+}
+
+// Validate the decoded cursor before it is interpolated into a filter
+function parseNotificationCursor(cursor) {
+  const key = decodeCursor(cursor);
+  if (!key || !key.updated_at || key.id === undefined) return null;
+
+  // Keep the database's own timestamp string: it has microseconds a Date would drop
+  const updatedAt = String(key.updated_at);
+  if (Number.isNaN(new Date(updatedAt).getTime()) || !/^[\d\-:.T+Z ]+$/.test(updatedAt)) return null;
+  if (!/^[\w-]+$/.test(String(key.id))) return null;
+
+  return { updated_at: updatedAt, id: key.id };
+}
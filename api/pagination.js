@@ -0,0 +1,61 @@
+/**
+ * Opaque cursor helpers shared by the paged list endpoints.
+ *
+ * A cursor is the base64url-encoded JSON of the sort key of the last row a
+ * client has seen; clients treat it as an opaque string.
+ */
+
+/**
+ * Clamp a `limit` query parameter to [1, max]
+ * @param {string|number|undefined} value
+ * @param {number} fallback
+ * @param {number} max
+ * @returns {number}
+ */
+export function clampLimit(value, fallback, max) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit < 1) return fallback;
+  return Math.min(limit, max);
+}
+
+/**
+ * @param {object} key - sort key of the last row, e.g. { created_at, id }
+ * @returns {string}
+ */
+export function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key), 'utf8').toString('base64url');
+}
+
+/**
+ * @param {string|undefined} cursor
+ * @returns {object|null} the decoded key, or null for a missing/garbled cursor
+ */
+export function decodeCursor(cursor) {
+  if (!cursor) return null;
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return key && typeof key === 'object' ? key : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Build a PostgREST `or` filter selecting the rows that sort after `key`.
+ *
+ * `columns` is the full ordering, ending in a unique tiebreaker, e.g.
+ * [{ column: 'likes_count', ascending: false }, { column: 'id', ascending: true }].
+ * Values must already be validated; they are quoted but not escaped.
+ *
+ * @param {Array<{ column: string, ascending: boolean }>} columns
+ * @param {object} key - value of each column for the last row seen
+ * @returns {string}
+ */
+export function keysetFilter(columns, key) {
+  const clauses = columns.map(({ column, ascending }, i) => {
+    const equal = columns.slice(0, i).map(prev => `${prev.column}.eq."${key[prev.column]}"`);
+    const after = `${column}.${ascending ? 'gt' : 'lt'}."${key[column]}"`;
+    return equal.length > 0 ? `and(${[...equal, after].join(',')})` : after;
+  });
+  return clauses.join(',');
+}
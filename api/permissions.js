@@ -0,0 +1,86 @@
+import { withSession } from './session.js';
+
+/*
+ * users.role, lowest to highest:
+ *   user       everyone
+ *   creator    has published a video; set on first upload by videoStore.js
+ *   moderator  works the moderation queue
+ *   admin      everything, including roles and sessions of other users
+ *
+ *   alter table users
+ *     add column role text not null default 'user'
+ *       check (role in ('user', 'creator', 'moderator', 'admin'));
+ *   update users set role = 'creator' where video_count > 0;
+ *   update users set role = 'admin' where is_admin;
+ *   alter table users drop column is_admin;
+ *
+ * Routes check permissions, not roles, so what a role may do is decided here
+ * and nowhere else.
+ */
+
+export const ROLES = ['user', 'creator', 'moderator', 'admin'];
+
+// permission -> lowest role that has it
+const PERMISSIONS = {
+  'moderation.review': 'moderator',   // report queue, hide/unhide, warn, dismiss
+  'users.list': 'moderator',          // list and search accounts
+  'users.suspend': 'moderator',       // suspend and unsuspend
+  'users.roles': 'admin',             // change anyone's role
+  'users.sessions': 'admin'           // force-logout
+};
+
+/**
+ * A user's role; unknown and missing values count as 'user'
+ * @param {object|null} user
+ * @returns {string}
+ */
+export function roleOf(user) {
+  return ROLES.includes(user?.role) ? user.role : 'user';
+}
+
+/**
+ * Whether role `a` ranks above role `b`
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function outranks(a, b) {
+  return ROLES.indexOf(a) > ROLES.indexOf(b);
+}
+
+/**
+ * Whether `user` (null for guests) has a permission
+ * @param {object|null} user
+ * @param {string} permission - a PERMISSIONS key
+ * @returns {boolean}
+ */
+export function can(user, permission) {
+  const minimum = PERMISSIONS[permission];
+  if (!user || !minimum) return false;
+  return ROLES.indexOf(roleOf(user)) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * Every permission `user` has, for clients deciding what to show
+ * @param {object|null} user
+ * @returns {string[]}
+ */
+export function permissionsOf(user) {
+  return Object.keys(PERMISSIONS).filter(permission => can(user, permission));
+}
+
+/**
+ * Like `requireUser`, but users without `permission` get a 403 before the
+ * handler runs
+ * @param {Function} handler
+ * @param {string} permission
+ * @returns {Function}
+ */
+export function requirePermission(handler, permission) {
+  return withSession((req, res) => {
+    if (req.method !== 'OPTIONS' && !can(req.user, permission)) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+    }
+    return handler(req, res);
+  }, { required: true });
+}
@@ -0,0 +1,219 @@
+// pages/api/playlist-items.js - add, remove and reorder playlist videos
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { resolvePlaylist, touchPlaylist } from './playlistStore.js';
+import { getViewableVideo } from './videoAccess.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_PLAYLIST_ITEMS = 5000;
+const ITEMS_PAGE_SIZE = 1000; // PostgREST returns at most this many rows per request
+
+/*
+ * POST   /api/playlist-items   { playlistId, videoId }       append a video
+ * DELETE /api/playlist-items?playlistId=&videoId=           remove a video
+ * PATCH  /api/playlist-items   { playlistId, videoIds: [] }  new order of every item
+ * PATCH  /api/playlist-items   { playlistId, videoId, position }  move one item
+ *
+ * playlistId may be "watch-later" for the caller's Watch Later list.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['POST', 'PATCH', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const playlistId = req.method === 'DELETE' ? req.query.playlistId : req.body?.playlistId;
+    const { playlist, error: lookupError, status } = await resolvePlaylist(playlistId, req.user);
+    if (lookupError) return res.status(status).json({ success: false, error: lookupError });
+
+    if (playlist.user_id !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'You can only change your own playlists' });
+    }
+
+    if (req.method === 'POST') return await addItem(req, res, playlist);
+    if (req.method === 'DELETE') return await removeItem(req, res, playlist);
+    return await reorderItems(req, res, playlist);
+  } catch (err) {
+    console.error('💥 Playlist items API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function addItem(req, res, playlist) {
+  const { videoId } = req.body || {};
+  if (!videoId) return res.status(400).json({ success: false, error: 'Video ID required' });
+
+  const video = await getViewableVideo(videoId, req.user);
+  if (!video) {
+    return res.status(404).json({ success: false, error: 'Video not found' });
+  }
+
+  // Removals leave gaps in `position`, so the limit is checked on a real count
+  const { count, error: countError } = await supabase
+    .from('playlist_items')
+    .select('*', { count: 'exact', head: true })
+    .eq('playlist_id', playlist.id);
+
+  if (countError) {
+    console.error('❌ Playlist item count error:', countError);
+    return res.status(500).json({ success: false, error: 'Failed to add video to playlist' });
+  }
+  if ((count || 0) >= MAX_PLAYLIST_ITEMS) {
+    return res.status(400).json({ success: false, error: `Playlists are limited to ${MAX_PLAYLIST_ITEMS} videos` });
+  }
+
+  // Append after the current last item
+  const { data: last } = await supabase
+    .from('playlist_items')
+    .select('position')
+    .eq('playlist_id', playlist.id)
+    .order('position', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  const position = last ? last.position + 1 : 0;
+
+  const { error } = await supabase
+    .from('playlist_items')
+    .insert({
+      playlist_id: playlist.id,
+      video_id: video.id,
+      position,
+      added_at: new Date().toISOString()
+    });
+
+  if (error) {
+    if (error.code === '23505') {
+      return res.status(200).json({ success: true, message: 'Already in playlist', playlist_id: playlist.id, video_id: video.id });
+    }
+    console.error('❌ Playlist item insert error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to add video to playlist' });
+  }
+
+  await touchPlaylist(playlist.id);
+
+  console.log('✅ Added video', video.id, 'to playlist', playlist.id);
+  return res.status(200).json({ success: true, playlist_id: playlist.id, video_id: video.id, position });
+}
+
+async function removeItem(req, res, playlist) {
+  const { videoId } = req.query;
+  if (!videoId) return res.status(400).json({ success: false, error: 'Video ID required' });
+
+  const { count, error } = await supabase
+    .from('playlist_items')
+    .delete({ count: 'exact' })
+    .eq('playlist_id', playlist.id)
+    .eq('video_id', videoId);
+
+  if (error) {
+    console.error('❌ Playlist item delete error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to remove video from playlist' });
+  }
+
+  // Gaps left in `position` are harmless: only the relative order matters
+  if (count) await touchPlaylist(playlist.id);
+
+  return res.status(200).json({ success: true, playlist_id: playlist.id, video_id: videoId, removed: count || 0 });
+}
+
+async function reorderItems(req, res, playlist) {
+  const { videoId, position } = req.body || {};
+  let { videoIds } = req.body || {};
+
+  const { items, error: itemsError } = await loadAllItems(playlist.id);
+  if (itemsError) {
+    console.error('❌ Playlist items fetch error:', itemsError);
+    return res.status(500).json({ success: false, error: 'Failed to reorder playlist' });
+  }
+
+  const byVideo = new Map(items.map(item => [String(item.video_id), item]));
+
+  // A single move is turned into the full order
+  if (videoId !== undefined) {
+    const target = parseInt(position, 10);
+    if (!byVideo.has(String(videoId))) {
+      return res.status(404).json({ success: false, error: 'Video is not in this playlist' });
+    }
+    if (!Number.isInteger(target) || target < 0 || target >= byVideo.size) {
+      return res.status(400).json({ success: false, error: `position must be between 0 and ${byVideo.size - 1}` });
+    }
+
+    videoIds = items.map(item => String(item.video_id)).filter(id => id !== String(videoId));
+    videoIds.splice(target, 0, String(videoId));
+  }
+
+  if (!Array.isArray(videoIds) || videoIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'videoIds must be a non-empty array' });
+  }
+
+  // The new order must name every item exactly once
+  const unique = new Set(videoIds.map(String));
+  if (unique.size !== videoIds.length || unique.size !== byVideo.size || ![...unique].every(id => byVideo.has(id))) {
+    return res.status(409).json({ success: false, error: 'videoIds must list every video in the playlist exactly once' });
+  }
+
+  const rows = videoIds.map((id, index) => {
+    const item = byVideo.get(String(id));
+    return {
+      id: item.id,
+      playlist_id: playlist.id,
+      video_id: item.video_id,
+      added_at: item.added_at,
+      position: index
+    };
+  });
+
+  const { error } = await supabase
+    .from('playlist_items')
+    .upsert(rows, { onConflict: 'id' });
+
+  if (error) {
+    console.error('❌ Playlist reorder error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to reorder playlist' });
+  }
+
+  await touchPlaylist(playlist.id);
+
+  return res.status(200).json({ success: true, playlist_id: playlist.id, videoIds: rows.map(row => row.video_id) });
+}
+
+// Every item of a playlist in order, a page at a time
+async function loadAllItems(playlistId) {
+  const items = [];
+
+  for (let offset = 0; ; offset += ITEMS_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('playlist_items')
+      .select('id, video_id, added_at')
+      .eq('playlist_id', playlistId)
+      .order('position', { ascending: true })
+      .order('added_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(offset, offset + ITEMS_PAGE_SIZE - 1);
+
+    if (error) return { items: null, error };
+
+    items.push(...(data || []));
+    if (!data || data.length < ITEMS_PAGE_SIZE) return { items, error: null };
+  }
+}
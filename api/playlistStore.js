@@ -0,0 +1,168 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * playlists: id, user_id, title, description, privacy, kind, created_at, updated_at
+ *   kind is 'custom' or 'watch_later'; every user has at most one Watch Later
+ *   list (unique index on user_id where kind = 'watch_later'), created on first use.
+ * playlist_items: id, playlist_id, video_id, position, added_at
+ *   unique (playlist_id, video_id); position orders the list from 0.
+ */
+
+export const PLAYLIST_PRIVACY = ['public', 'unlisted', 'private'];
+
+// Clients may use this instead of the id of their Watch Later playlist
+export const WATCH_LATER_ID = 'watch-later';
+
+const MAX_TITLE_LENGTH = 150;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+/**
+ * Validate the editable playlist fields; missing fields are allowed (partial update)
+ * @param {object} fields - title, description, privacy
+ * @returns {string|null} error message, or null when valid
+ */
+export function validatePlaylistFields({ title, description, privacy }) {
+  if (title !== undefined && (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH)) {
+    return `Title must be 1-${MAX_TITLE_LENGTH} characters`;
+  }
+  if (description !== undefined && description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return `Description is limited to ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  if (privacy !== undefined && !PLAYLIST_PRIVACY.includes(privacy)) {
+    return 'Privacy must be public, unlisted or private';
+  }
+  return null;
+}
+
+/**
+ * Get the user's Watch Later playlist, creating it on first use
+ * @param {string} userId
+ * @returns {Promise<object>} playlist row
+ */
+export async function getWatchLater(userId) {
+  const existing = await findWatchLater(userId);
+  if (existing) return existing;
+
+  const { data: created, error } = await supabase
+    .from('playlists')
+    .insert({
+      user_id: userId,
+      title: 'Watch later',
+      description: '',
+      privacy: 'private',
+      kind: 'watch_later'
+    })
+    .select('*')
+    .single();
+
+  if (!error) return created;
+
+  // Another request created it first
+  if (error.code === '23505') return findWatchLater(userId);
+  throw new Error(`Failed to create Watch Later: ${error.message}`);
+}
+
+async function findWatchLater(userId) {
+  const { data } = await supabase
+    .from('playlists')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('kind', 'watch_later')
+    .maybeSingle();
+  return data;
+}
+
+/**
+ * Look up a playlist by id (or WATCH_LATER_ID) and check that `user` may see it
+ * @param {string} playlistId
+ * @param {object|null} user - session user, null for guests
+ * @returns {Promise<{ playlist: object|null, error: string|null, status: number }>}
+ */
+export async function resolvePlaylist(playlistId, user) {
+  if (!playlistId) {
+    return { playlist: null, error: 'Playlist ID required', status: 400 };
+  }
+
+  if (playlistId === WATCH_LATER_ID) {
+    if (!user) return { playlist: null, error: 'Authentication required for watch later', status: 401 };
+    return { playlist: await getWatchLater(user.id), error: null, status: 200 };
+  }
+
+  const { data: playlist } = await supabase
+    .from('playlists')
+    .select('*')
+    .eq('id', playlistId)
+    .maybeSingle();
+
+  // Private playlists are indistinguishable from missing ones for everybody else
+  if (!playlist || !canViewPlaylist(playlist, user)) {
+    return { playlist: null, error: 'Playlist not found', status: 404 };
+  }
+
+  return { playlist, error: null, status: 200 };
+}
+
+/**
+ * Public and unlisted playlists are visible to anyone with the id
+ * @param {object} playlist
+ * @param {object|null} user
+ * @returns {boolean}
+ */
+export function canViewPlaylist(playlist, user) {
+  return playlist.privacy !== 'private' || (!!user && playlist.user_id === user.id);
+}
+
+/**
+ * One page of a playlist's items in order
+ * @param {string} playlistId
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ items: Array<object>, error: object|null }>}
+ */
+export async function getPlaylistItemsPage(playlistId, offset, limit) {
+  const { data, error } = await supabase
+    .from('playlist_items')
+    .select('video_id, position, added_at')
+    .eq('playlist_id', playlistId)
+    .order('position', { ascending: true })
+    .order('added_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  return { items: data || [], error };
+}
+
+/**
+ * Bump updated_at so listings can show recently changed playlists first
+ * @param {string} playlistId
+ */
+export async function touchPlaylist(playlistId) {
+  await supabase
+    .from('playlists')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', playlistId);
+}
+
+/**
+ * Shape a playlists row for the frontend
+ * @param {object} playlist
+ * @param {number} [itemCount]
+ * @returns {object}
+ */
+export function formatPlaylist(playlist, itemCount = 0) {
+  return {
+    id: playlist.id,
+    user_id: playlist.user_id,
+    title: playlist.title,
+    description: playlist.description || '',
+    privacy: playlist.privacy,
+    is_watch_later: playlist.kind === 'watch_later',
+    item_count: itemCount,
+    created_at: playlist.created_at,
+    updated_at: playlist.updated_at || playlist.created_at
+  };
+}
@@ -0,0 +1,272 @@
+// pages/api/playlists.js - playlists and Watch Later
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import {
+  validatePlaylistFields,
+  getWatchLater,
+  resolvePlaylist,
+  formatPlaylist
+} from './playlistStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * GET    /api/playlists                     own playlists, Watch Later first
+ * GET    /api/playlists?videoId=            ... with `contains` set for that video
+ * GET    /api/playlists?userId=             another user's public playlists
+ * GET    /api/playlists?id=                 one playlist (id may be "watch-later")
+ * POST   /api/playlists   { title, description?, privacy? }
+ * PATCH  /api/playlists?id=   { title?, description?, privacy? }
+ * DELETE /api/playlists?id=
+ *
+ * Items are managed by /api/playlist-items and listed by
+ * /api/view-videos?view=playlist&playlistId=.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET') {
+      if (req.query.id) return await getPlaylist(req, res);
+      if (req.query.userId) return await listUserPlaylists(req, res);
+    }
+
+    if (!['GET', 'POST', 'PATCH', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    if (req.method === 'GET') return await listOwnPlaylists(req, res);
+    if (req.method === 'POST') return await createPlaylist(req, res);
+    if (req.method === 'PATCH') return await updatePlaylist(req, res);
+    return await deletePlaylist(req, res);
+  } catch (err) {
+    console.error('💥 Playlists API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withSession(handler);
+
+async function getPlaylist(req, res) {
+  const { playlist, error, status } = await resolvePlaylist(req.query.id, req.user);
+  if (error) return res.status(status).json({ success: false, error });
+
+  const [formatted] = await withItemCounts([playlist]);
+
+  const { data: owner } = await supabase
+    .from('users')
+    .select('id, username, avatar_url, profile_picture')
+    .eq('id', playlist.user_id)
+    .maybeSingle();
+
+  return res.status(200).json({
+    success: true,
+    playlist: {
+      ...formatted,
+      owner: owner ? {
+        id: owner.id,
+        username: owner.username || 'User',
+        avatar_url: owner.avatar_url || owner.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(owner.username || 'User')}&background=random`
+      } : null,
+      can_edit: !!req.user && req.user.id === playlist.user_id
+    }
+  });
+}
+
+async function listUserPlaylists(req, res) {
+  const { data: playlists, error } = await supabase
+    .from('playlists')
+    .select('*')
+    .eq('user_id', req.query.userId)
+    .eq('privacy', 'public')
+    .eq('kind', 'custom')
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('❌ Playlists fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load playlists' });
+  }
+
+  return res.status(200).json({ success: true, playlists: await withItemCounts(playlists || []) });
+}
+
+async function listOwnPlaylists(req, res) {
+  const watchLater = await getWatchLater(req.user.id);
+
+  const { data: playlists, error } = await supabase
+    .from('playlists')
+    .select('*')
+    .eq('user_id', req.user.id)
+    .eq('kind', 'custom')
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('❌ Playlists fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load playlists' });
+  }
+
+  const all = [watchLater, ...(playlists || [])];
+  let result = await withItemCounts(all);
+
+  // Lets the "Save to..." menu tick the lists a video is already in
+  if (req.query.videoId) {
+    const { data: items } = await supabase
+      .from('playlist_items')
+      .select('playlist_id')
+      .eq('video_id', req.query.videoId)
+      .in('playlist_id', all.map(playlist => playlist.id));
+
+    const containing = new Set((items || []).map(item => item.playlist_id));
+    result = result.map(playlist => ({ ...playlist, contains: containing.has(playlist.id) }));
+  }
+
+  return res.status(200).json({ success: true, playlists: result });
+}
+
+async function createPlaylist(req, res) {
+  const { title, description = '', privacy = 'private' } = req.body || {};
+
+  if (title === undefined) {
+    return res.status(400).json({ success: false, error: 'Title required' });
+  }
+
+  const validationError = validatePlaylistFields({ title, description, privacy });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const now = new Date().toISOString();
+  const { data: playlist, error } = await supabase
+    .from('playlists')
+    .insert({
+      user_id: req.user.id,
+      title: title.trim(),
+      description: description || '',
+      privacy,
+      kind: 'custom',
+      created_at: now,
+      updated_at: now
+    })
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error('❌ Playlist insert error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to create playlist' });
+  }
+
+  console.log('✅ Playlist created:', playlist.id);
+  return res.status(200).json({ success: true, playlist: formatPlaylist(playlist, 0) });
+}
+
+async function updatePlaylist(req, res) {
+  const { id } = req.query;
+  const { title, description, privacy } = req.body || {};
+
+  if (!id) return res.status(400).json({ success: false, error: 'Playlist ID required' });
+
+  const validationError = validatePlaylistFields({ title, description, privacy });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const { playlist, error: lookupError, status } = await resolvePlaylist(id, req.user);
+  if (lookupError) return res.status(status).json({ success: false, error: lookupError });
+
+  if (playlist.user_id !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'You can only edit your own playlists' });
+  }
+  if (playlist.kind === 'watch_later') {
+    return res.status(400).json({ success: false, error: 'Watch Later cannot be renamed or shared' });
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (title !== undefined) updates.title = title.trim();
+  if (description !== undefined) updates.description = description || '';
+  if (privacy !== undefined) updates.privacy = privacy;
+
+  const { data: updated, error } = await supabase
+    .from('playlists')
+    .update(updates)
+    .eq('id', playlist.id)
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error('❌ Playlist update error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to update playlist' });
+  }
+
+  const [formatted] = await withItemCounts([updated]);
+  return res.status(200).json({ success: true, playlist: formatted });
+}
+
+async function deletePlaylist(req, res) {
+  const { id } = req.query;
+  if (!id) return res.status(400).json({ success: false, error: 'Playlist ID required' });
+
+  const { playlist, error: lookupError, status } = await resolvePlaylist(id, req.user);
+  if (lookupError) return res.status(status).json({ success: false, error: lookupError });
+
+  if (playlist.user_id !== req.user.id) {
+    return res.status(403).json({ success: false, error: 'You can only delete your own playlists' });
+  }
+  if (playlist.kind === 'watch_later') {
+    return res.status(400).json({ success: false, error: 'Watch Later cannot be deleted' });
+  }
+
+  const { error: itemsError } = await supabase
+    .from('playlist_items')
+    .delete()
+    .eq('playlist_id', playlist.id);
+
+  if (itemsError) {
+    console.error('❌ Playlist items delete error:', itemsError);
+    return res.status(500).json({ success: false, error: 'Failed to delete playlist' });
+  }
+
+  const { error } = await supabase
+    .from('playlists')
+    .delete()
+    .eq('id', playlist.id);
+
+  if (error) {
+    console.error('❌ Playlist delete error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to delete playlist' });
+  }
+
+  console.log('🗑️ Playlist deleted:', playlist.id);
+  return res.status(200).json({ success: true, id: playlist.id });
+}
+
+// Item counts come from one head-only count query per playlist, so no rows
+// are downloaded and PostgREST's row limit never truncates them
+async function withItemCounts(playlists) {
+  const counts = await Promise.all(playlists.map(async playlist => {
+    const { count } = await supabase
+      .from('playlist_items')
+      .select('*', { count: 'exact', head: true })
+      .eq('playlist_id', playlist.id);
+    return count || 0;
+  }));
+
+  return playlists.map((playlist, index) => formatPlaylist(playlist, counts[index]));
+}
@@ -0,0 +1,161 @@
+// pages/api/process-videos.js - background HLS transcoding worker (run by Vercel cron)
+import { createClient } from '@supabase/supabase-js';
+import { signVideoObject } from './videoProbe.js';
+import { storagePath } from './mediaUrls.js';
+import { selectRenditions, transcodeNextRendition, storeMasterPlaylist } from './transcode.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const config = {
+  maxDuration: 300,
+};
+
+const MAX_ATTEMPTS = 3;
+const STALE_AFTER_MS = 10 * 60 * 1000; // twice maxDuration: a job "processing" this long has died
+
+/*
+ * Each run recovers jobs whose worker died, then claims the oldest `queued`
+ * video and transcodes ONE rendition of its ladder, so a run fits in
+ * maxDuration however long the video is. Finished renditions are kept in
+ * videos.hls_renditions and the video goes back to `queued` until the ladder
+ * is complete:
+ *
+ *   alter table videos add column hls_renditions text[] not null default '{}';
+ *
+ * `videos.processing_state` moves queued -> processing -> queued ... -> ready
+ * or failed. A rendition that fails is retried up to MAX_ATTEMPTS times; the
+ * count starts over after every rendition that succeeds.
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Vercel cron sends the CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    await recoverStaleJobs();
+
+    const video = await claimNextVideo();
+    if (!video) {
+      return res.status(200).json({ success: true, message: 'Nothing to process' });
+    }
+
+    console.log('🎬 Processing video:', video.id, 'attempt', video.processing_attempts);
+
+    try {
+      // Older rows only have the public URL of the original
+      const original = video.storage_path || storagePath('videos', video.video_url);
+      if (!original) throw new Error('Original file not found in storage');
+
+      const prefix = `${video.user_id}/${video.id}`;
+      const done = video.hls_renditions || [];
+      const rendition = await transcodeNextRendition({
+        sourceUrl: await signVideoObject(original),
+        prefix,
+        height: video.height,
+        done
+      });
+      const renditions = rendition ? [...done, rendition] : done;
+
+      if (renditions.length < selectRenditions(video.height).length) {
+        await supabase
+          .from('videos')
+          .update({
+            processing_state: 'queued',
+            hls_renditions: renditions,
+            processing_attempts: 0,
+            processing_error: null
+          })
+          .eq('id', video.id);
+
+        console.log('🎬 Stored', rendition, 'for video:', video.id);
+        return res.status(200).json({ success: true, video_id: video.id, processing_state: 'queued', renditions });
+      }
+
+      const masterPath = await storeMasterPlaylist({ prefix, width: video.width, height: video.height });
+
+      await supabase
+        .from('videos')
+        .update({
+          processing_state: 'ready',
+          stream_url: masterPath,
+          hls_renditions: renditions,
+          processing_error: null,
+          processed_at: new Date().toISOString()
+        })
+        .eq('id', video.id);
+
+      console.log('✅ HLS ready for video:', video.id);
+      return res.status(200).json({ success: true, video_id: video.id, processing_state: 'ready', renditions });
+    } catch (err) {
+      console.error('❌ Transcoding failed:', video.id, err.message);
+      const state = video.processing_attempts >= MAX_ATTEMPTS ? 'failed' : 'queued';
+
+      await supabase
+        .from('videos')
+        .update({ processing_state: state, processing_error: err.message })
+        .eq('id', video.id);
+
+      return res.status(200).json({ success: false, video_id: video.id, processing_state: state, error: err.message });
+    }
+  } catch (err) {
+    console.error('💥 Process videos error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
+
+// Put jobs whose worker timed out back in the queue (or fail them for good)
+async function recoverStaleJobs() {
+  const staleBefore = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+
+  const { data: stale } = await supabase
+    .from('videos')
+    .select('id, processing_attempts')
+    .eq('processing_state', 'processing')
+    .lt('processing_started_at', staleBefore);
+
+  for (const video of stale || []) {
+    await supabase
+      .from('videos')
+      .update({
+        processing_state: video.processing_attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+        processing_error: 'Worker timed out'
+      })
+      .eq('id', video.id)
+      .eq('processing_state', 'processing');
+  }
+}
+
+// Atomically move the oldest queued video to `processing`
+async function claimNextVideo() {
+  const { data: next } = await supabase
+    .from('videos')
+    .select('id, processing_attempts')
+    .eq('processing_state', 'queued')
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+
+  if (!next) return null;
+
+  const { data: claimed } = await supabase
+    .from('videos')
+    .update({
+      processing_state: 'processing',
+      processing_started_at: new Date().toISOString(),
+      processing_attempts: (next.processing_attempts || 0) + 1
+    })
+    .eq('id', next.id)
+    .eq('processing_state', 'queued')
+    .select('id, user_id, video_url, storage_path, width, height, hls_renditions, processing_attempts')
+    .maybeSingle();
+
+  return claimed;
+}
@@ -0,0 +1,28 @@
+// pages/api/publish-scheduled.js - publish scheduled uploads when their time comes and
+// send queued upload notifications (run by Vercel cron)
+import { publishDueVideos } from './videoStore.js';
+import { deliverUploadNotifications } from './subscriptionStore.js';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  // Vercel cron sends the CRON_SECRET as a bearer token
+  if (!process.env.CRON_SECRET || req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+
+  try {
+    const result = await publishDueVideos();
+    if (result.published > 0) {
+      console.log('📢 Scheduled videos published:', result);
+    }
+
+    const notified = await deliverUploadNotifications();
+    return res.status(200).json({ success: true, ...result, notified });
+  } catch (err) {
+    console.error('💥 Publish scheduled error:', err);
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+}
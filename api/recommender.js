@@ -0,0 +1,292 @@
+import { createClient } from '@supabase/supabase-js';
+import { getTrendingPage, ALL_CATEGORIES } from './trending.js';
+import { getSubscribedCreatorIds } from './subscriptionStore.js';
+import { getViewableVideo } from './videoAccess.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * Recommendations are ranked on request from a small candidate pool: the
+ * newest public videos, the current trending ranking and, for "up next",
+ * videos sharing the seed video's creator or category.
+ *
+ * A signed-in viewer's taste profile is built from their video likes, their
+ * most recent watch_history entries and the creators they subscribe to:
+ * how often each tag, category and creator
+ * appears across liked and watched videos. Each candidate then scores
+ *
+ *   TAG_WEIGHT * tag affinity + CATEGORY_WEIGHT * category affinity
+ *   + CREATOR_WEIGHT * creator affinity (+ SUBSCRIPTION_BONUS when subscribed)
+ *   + popularity and freshness terms that keep the feed moving
+ *
+ * Guests get the trending ranking instead. "Up next" adds similarity to the
+ * seed video and leaves out everything the viewer has already watched.
+ */
+
+const PROFILE_HISTORY_SIZE = 100;
+const RECENT_POOL_SIZE = 300;
+const RELATED_POOL_SIZE = 100;
+const TRENDING_POOL_SIZE = 100;
+const MAX_RECOMMENDATIONS = 200;
+const ID_CHUNK_SIZE = 100; // ids per `.in()` lookup, keeps the GET URL short
+
+const TAG_WEIGHT = 4;
+const CATEGORY_WEIGHT = 2;
+const CREATOR_WEIGHT = 3;
+const SUBSCRIPTION_BONUS = 3;
+const TRENDING_WEIGHT = 2;
+const POPULARITY_WEIGHT = 0.3;
+const FRESHNESS_WEIGHT = 1;
+const FRESHNESS_HALF_LIFE_DAYS = 7;
+
+// Similarity to the video being watched, for "up next"
+const SEED_TAG_WEIGHT = 6;
+const SEED_CATEGORY_WEIGHT = 2;
+const SEED_CREATOR_WEIGHT = 3;
+
+const CANDIDATE_FIELDS = 'id, user_id, tags, category, views, created_at';
+
+/**
+ * Ranked recommendations for a viewer
+ * @param {object|null} user - session user, null for guests
+ * @param {object} [options]
+ * @param {string} [options.relatedTo] - seed video id for "up next"
+ * @param {string} [options.category] - restrict to one category
+ * @param {number} [options.offset]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ entries: Array<{ video_id: string, score: number, reason: string }>, error: string|null, status?: number }>}
+ */
+export async function getRecommendations(user, { relatedTo = null, category = null, offset = 0, limit = 12 } = {}) {
+  let seed = null;
+  if (relatedTo) {
+    seed = await getViewableVideo(relatedTo, user, 'tags, category, views, created_at');
+    // Not even its owner gets recommendations drawn from a hidden video
+    if (!seed || seed.hidden_at) {
+      return { entries: [], error: 'Video not found', status: 404 };
+    }
+  }
+
+  // Guests on the home feed simply get what is trending
+  if (!user && !seed) {
+    return getTrendingFallback(category, offset, limit);
+  }
+
+  const profile = user ? await buildProfile(user) : emptyProfile();
+  const candidates = await loadCandidates(seed, category);
+
+  const excluded = new Set(seed ? [seed.id, ...profile.watched] : profile.completed);
+  const now = Date.now();
+
+  const ranked = candidates
+    .filter(video => !excluded.has(video.id) && video.user_id !== user?.id)
+    .map(video => scoreCandidate(video, profile, seed, now))
+    .sort((a, b) => b.score - a.score || (a.video_id < b.video_id ? -1 : 1))
+    .slice(0, MAX_RECOMMENDATIONS);
+
+  return { entries: ranked.slice(offset, offset + limit), error: null };
+}
+
+function emptyProfile() {
+  return {
+    tags: new Map(),
+    categories: new Map(),
+    creators: new Map(),
+    subscriptions: new Set(),
+    watched: [],
+    completed: [],
+    signals: 0
+  };
+}
+
+// What the viewer likes, as normalized weights per tag, category and creator
+async function buildProfile(user) {
+  const profile = emptyProfile();
+
+  const [{ data: likes }, { data: history }, { creatorIds }] = await Promise.all([
+    supabase
+      .from('likes')
+      .select('target_id')
+      .eq('user_email', user.email)
+      .eq('target_type', 'video')
+      .order('created_at', { ascending: false })
+      .limit(PROFILE_HISTORY_SIZE),
+    supabase
+      .from('watch_history')
+      .select('video_id, completed')
+      .eq('user_id', user.id)
+      .order('watched_at', { ascending: false })
+      .limit(PROFILE_HISTORY_SIZE),
+    getSubscribedCreatorIds(user.id)
+  ]);
+
+  creatorIds.forEach(creatorId => profile.subscriptions.add(creatorId));
+  profile.watched = (history || []).map(entry => entry.video_id);
+  profile.completed = (history || []).filter(entry => entry.completed).map(entry => entry.video_id);
+
+  // A like says more than a watch
+  const signalWeights = new Map();
+  (history || []).forEach(entry => signalWeights.set(entry.video_id, 1));
+  (likes || []).forEach(like => signalWeights.set(like.target_id, (signalWeights.get(like.target_id) || 0) + 2));
+  if (signalWeights.size === 0) return profile;
+
+  const videos = await loadVideos([...signalWeights.keys()]);
+
+  videos.forEach(video => {
+    const weight = signalWeights.get(video.id);
+    (video.tags || []).forEach(tag => addWeight(profile.tags, normalizeTag(tag), weight));
+    addWeight(profile.categories, video.category || 'other', weight);
+    addWeight(profile.creators, video.user_id, weight);
+    profile.signals += weight;
+  });
+
+  return profile;
+}
+
+async function loadCandidates(seed, category) {
+  const recentQuery = supabase
+    .from('videos')
+    .select(CANDIDATE_FIELDS)
+    .eq('privacy', 'public')
+    .order('created_at', { ascending: false })
+    .limit(RECENT_POOL_SIZE);
+
+  const queries = [category ? recentQuery.eq('category', category) : recentQuery];
+
+  // Same creator and same category are separate queries: a category is
+  // user-entered text and never goes into a filter string
+  if (seed) {
+    queries.push(relatedQuery().eq('user_id', seed.user_id));
+    queries.push(relatedQuery().eq('category', seed.category || 'other'));
+  }
+
+  const [trending, ...results] = await Promise.all([
+    getTrendingPage(category || ALL_CATEGORIES, 0, TRENDING_POOL_SIZE),
+    ...queries
+  ]);
+
+  const candidates = new Map();
+  results.forEach(({ data }) => (data || []).forEach(video => candidates.set(video.id, video)));
+
+  // Trending videos outside the recent pool still need their fields
+  const trendingScores = new Map((trending.entries || []).map(entry => [entry.video_id, entry.score]));
+  const missing = [...trendingScores.keys()].filter(id => !candidates.has(id));
+  const trendingVideos = await loadVideos(missing, { publicOnly: true });
+  trendingVideos.forEach(video => candidates.set(video.id, video));
+
+  const topTrending = Math.max(0, ...trendingScores.values());
+  return [...candidates.values()].map(video => ({
+    ...video,
+    trending: topTrending > 0 ? (trendingScores.get(video.id) || 0) / topTrending : 0
+  }));
+}
+
+// Candidate fields of the given videos, ID_CHUNK_SIZE ids per request
+async function loadVideos(ids, { publicOnly = false } = {}) {
+  const videos = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    let query = supabase
+      .from('videos')
+      .select(CANDIDATE_FIELDS)
+      .in('id', ids.slice(i, i + ID_CHUNK_SIZE));
+    if (publicOnly) query = query.eq('privacy', 'public');
+
+    const { data, error } = await query;
+    if (error) {
+      console.error('❌ Recommendation videos fetch error:', error);
+      continue;
+    }
+    videos.push(...data);
+  }
+  return videos;
+}
+
+function relatedQuery() {
+  return supabase
+    .from('videos')
+    .select(CANDIDATE_FIELDS)
+    .eq('privacy', 'public')
+    .order('views', { ascending: false })
+    .limit(RELATED_POOL_SIZE);
+}
+
+function scoreCandidate(video, profile, seed, now) {
+  const tags = (video.tags || []).map(normalizeTag);
+  const category = video.category || 'other';
+  const ageDays = Math.max(0, (now - new Date(video.created_at).getTime()) / 86400000);
+
+  const parts = {
+    tags: TAG_WEIGHT * affinity(profile.tags, tags, profile.signals),
+    category: CATEGORY_WEIGHT * affinity(profile.categories, [category], profile.signals),
+    creator: CREATOR_WEIGHT * affinity(profile.creators, [video.user_id], profile.signals) +
+      (profile.subscriptions.has(video.user_id) ? SUBSCRIPTION_BONUS : 0),
+    trending: TRENDING_WEIGHT * video.trending,
+    popular: POPULARITY_WEIGHT * Math.log10((video.views || 0) + 1) +
+      FRESHNESS_WEIGHT * Math.pow(0.5, ageDays / FRESHNESS_HALF_LIFE_DAYS)
+  };
+
+  if (seed) {
+    const seedTags = new Set((seed.tags || []).map(normalizeTag));
+    const shared = tags.filter(tag => seedTags.has(tag)).length;
+    const union = new Set([...seedTags, ...tags]).size;
+    parts.related = (union ? SEED_TAG_WEIGHT * shared / union : 0) +
+      (category === (seed.category || 'other') ? SEED_CATEGORY_WEIGHT : 0) +
+      (video.user_id === seed.user_id ? SEED_CREATOR_WEIGHT : 0);
+  }
+
+  const score = Object.values(parts).reduce((sum, value) => sum + value, 0);
+  const [reason] = Object.entries(parts).sort((a, b) => b[1] - a[1])[0];
+
+  return {
+    video_id: video.id,
+    score: Math.round(score * 1000) / 1000,
+    reason: reason === 'creator' && profile.subscriptions.has(video.user_id) ? 'subscribed' : reason
+  };
+}
+
+async function getTrendingFallback(category, offset, limit) {
+  const { entries, error } = await getTrendingPage(category || ALL_CATEGORIES, offset, limit);
+  if (error) return { entries: [], error: error.message, status: 500 };
+
+  if (entries) {
+    return {
+      entries: entries.map(entry => ({ video_id: entry.video_id, score: entry.score, reason: 'trending' })),
+      error: null
+    };
+  }
+
+  // No ranking computed yet: most viewed public videos
+  let query = supabase
+    .from('videos')
+    .select('id, views')
+    .eq('privacy', 'public')
+    .order('views', { ascending: false })
+    .order('id', { ascending: true })
+    .range(offset, offset + limit - 1);
+  if (category) query = query.eq('category', category);
+
+  const { data, error: popularError } = await query;
+  if (popularError) return { entries: [], error: popularError.message, status: 500 };
+
+  return {
+    entries: (data || []).map(video => ({ video_id: video.id, score: video.views || 0, reason: 'popular' })),
+    error: null
+  };
+}
+
+// Share of the viewer's signals that point at any of `keys`, 0..1
+function affinity(weights, keys, total) {
+  if (!total) return 0;
+  const sum = keys.reduce((acc, key) => acc + (weights.get(key) || 0), 0);
+  return Math.min(1, sum / total);
+}
+
+function addWeight(map, key, weight) {
+  map.set(key, (map.get(key) || 0) + weight);
+}
+
+function normalizeTag(tag) {
+  return String(tag).trim().toLowerCase();
+}
@@ -0,0 +1,106 @@
+// pages/api/record-view.js - view events and de-duplicated view counting
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import { getViewableVideo } from './videoAccess.js';
+import { getViewerKey, requiredWatchSeconds, startViewEvent, reportWatchTime } from './viewCounter.js';
+import { recordWatch } from './watchHistory.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * POST /api/record-view   { videoId }                             playback started
+ *   -> { eventId, required_seconds }
+ * POST /api/record-view   { eventId, watchedSeconds, position }   watch time so far
+ *   -> { counted, views }
+ *
+ * Works for guests too; they are told apart by a hash of IP and user agent.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { videoId, eventId } = req.body || {};
+    const viewerKey = getViewerKey(req);
+
+    if (eventId) {
+      return await reportProgress(req, res, viewerKey);
+    }
+
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'videoId or eventId required' });
+    }
+
+    const video = await getViewableVideo(videoId, req.user, 'duration');
+
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const { event, error } = await startViewEvent({ videoId: video.id, user: req.user, viewerKey });
+
+    if (error) {
+      console.error('❌ View event insert error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to record view' });
+    }
+
+    await recordWatch(req.user, video.id);
+
+    return res.status(200).json({
+      success: true,
+      eventId: event.id,
+      required_seconds: requiredWatchSeconds(video.duration)
+    });
+  } catch (err) {
+    console.error('💥 Record view API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withSession(handler);
+
+async function reportProgress(req, res, viewerKey) {
+  const { eventId } = req.body;
+  const watchedSeconds = Number(req.body.watchedSeconds);
+  const position = Number(req.body.position);
+
+  if (!Number.isFinite(watchedSeconds) || watchedSeconds < 0) {
+    return res.status(400).json({ success: false, error: 'watchedSeconds must be a non-negative number' });
+  }
+
+  const { data: event } = await supabase
+    .from('view_events')
+    .select('*, videos ( duration )')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  // An event can only be reported by the viewer who opened it
+  if (!event || event.viewer_key !== viewerKey) {
+    return res.status(404).json({ success: false, error: 'View event not found' });
+  }
+
+  const { counted, views } = await reportWatchTime(event, {
+    watchedSeconds,
+    position: Number.isFinite(position) ? position : 0,
+    duration: event.videos?.duration || null
+  });
+
+  return res.status(200).json({ success: true, counted, views });
+}
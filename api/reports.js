@@ -0,0 +1,141 @@
+// pages/api/reports.js - report videos, comments and users to moderators
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { REPORT_TARGETS, REPORT_REASONS, getModerationTarget } from './moderationStore.js';
+import { canViewVideo } from './videoAccess.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_DETAILS_LENGTH = 1000;
+const MAX_REPORTS_PER_HOUR = 20;
+
+/*
+ * GET  /api/reports   -> { reasons: [{ reason, label }] }
+ * POST /api/reports   { targetType: video | comment | user, targetId, reason, details? }
+ *                     -> { success, already_reported }
+ *
+ * One report per reporter and target: reporting the same thing again while
+ * the first report is open only updates its reason and details, and once
+ * moderators have reviewed it the repeat is accepted without reopening it.
+ * Only what the reporter can see can be reported.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method === 'GET') {
+    return res.status(200).json({
+      success: true,
+      reasons: Object.entries(REPORT_REASONS).map(([reason, label]) => ({ reason, label }))
+    });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { targetType, targetId, reason } = req.body || {};
+    const details = typeof req.body?.details === 'string' ? req.body.details.trim() : '';
+
+    if (!REPORT_TARGETS.includes(targetType)) {
+      return res.status(400).json({ success: false, error: 'targetType must be video, comment or user' });
+    }
+    if (!REPORT_REASONS[reason]) {
+      return res.status(400).json({ success: false, error: 'Choose a reason for the report' });
+    }
+    if (reason === 'other' && !details) {
+      return res.status(400).json({ success: false, error: 'Tell us what is wrong' });
+    }
+    if (details.length > MAX_DETAILS_LENGTH) {
+      return res.status(400).json({ success: false, error: `Details are limited to ${MAX_DETAILS_LENGTH} characters` });
+    }
+
+    const target = await getModerationTarget(targetType, targetId);
+    if (!target || !await isReportable(target, req.user)) {
+      return res.status(404).json({ success: false, error: 'Nothing to report here' });
+    }
+    if (target.owner_id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot report yourself' });
+    }
+
+    const { data: existing } = await supabase
+      .from('reports')
+      .select('id, status')
+      .eq('reporter_id', req.user.id)
+      .eq('target_type', targetType)
+      .eq('target_id', String(target.id))
+      .maybeSingle();
+
+    if (existing) {
+      if (existing.status === 'open') {
+        await supabase
+          .from('reports')
+          .update({ reason, details: details || null })
+          .eq('id', existing.id);
+      }
+      return res.status(200).json({ success: true, already_reported: true });
+    }
+
+    const { count: recent } = await supabase
+      .from('reports')
+      .select('*', { count: 'exact', head: true })
+      .eq('reporter_id', req.user.id)
+      .gte('created_at', new Date(Date.now() - 60 * 60 * 1000).toISOString());
+
+    if ((recent || 0) >= MAX_REPORTS_PER_HOUR) {
+      return res.status(429).json({ success: false, error: 'Too many reports. Please try again later.' });
+    }
+
+    const { error } = await supabase
+      .from('reports')
+      .upsert({
+        reporter_id: req.user.id,
+        target_type: targetType,
+        target_id: String(target.id),
+        reason,
+        details: details || null,
+        status: 'open',
+        created_at: new Date().toISOString()
+      }, { onConflict: 'reporter_id,target_type,target_id', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('❌ Report insert error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to send report' });
+    }
+
+    console.log(`🚩 ${targetType} ${target.id} reported for ${reason}`);
+    return res.status(200).json({ success: true, already_reported: false });
+  } catch (err) {
+    console.error('💥 Reports API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function isReportable(target, user) {
+  if (target.type === 'user') return true;
+  if (target.hidden_at) return false;
+  if (target.type === 'video') return canViewVideo(target, user);
+
+  const { data: video } = await supabase
+    .from('videos')
+    .select('id, user_id, privacy, hidden_at')
+    .eq('id', target.video_id)
+    .maybeSingle();
+  return canViewVideo(video, user);
+}
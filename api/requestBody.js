@@ -0,0 +1,26 @@
+/**
+ * Read the raw body of a request whose body parser is turned off
+ * (`config.api.bodyParser: false`), or resolve null if it exceeds maxBytes.
+ * The rest of an oversized body is drained, not buffered.
+ * @param {import('http').IncomingMessage} req
+ * @param {number} maxBytes
+ * @returns {Promise<Buffer|null>}
+ */
+export function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    req.on('data', (data) => {
+      size += data.length;
+      if (size > maxBytes) {
+        tooLarge = true;
+        return;
+      }
+      chunks.push(data);
+    });
+    req.on('end', () => resolve(tooLarge ? null : Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
@@ -0,0 +1,570 @@
+// pages/api/resumable-upload.js - tus-compatible chunked uploads
+import { createClient } from '@supabase/supabase-js';
+import { v4 as uuidv4 } from 'uuid';
+import { requireUser } from './session.js';
+import { createVideoRecord, validateVideoFields, MAX_FILE_SIZE } from './videoStore.js';
+import { probeStoredVideo, thumbnailStoredVideo } from './videoProcessing.js';
+import { removeThumbnails } from './thumbnails.js';
+import { readBody } from './requestBody.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+  maxDuration: 300,
+};
+
+const TUS_VERSION = '1.0.0';
+const CHUNK_SIZE = 4 * 1024 * 1024; // 4MB - stays under the serverless request body limit
+const STORAGE_CHUNK_SIZE = 6 * 1024 * 1024; // Supabase's resumable endpoint requires 6MB chunks
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const ASSEMBLY_TIME_BUDGET_MS = 45 * 1000;
+// Probing and thumbnails only start this early in a completion request, so
+// their ffmpeg timeouts still end inside maxDuration
+const PROCESSING_START_BUDGET_MS = 20 * 1000;
+
+/*
+ * Protocol (tus 1.0.0 core + creation + termination):
+ *   POST   /api/resumable-upload                      -> 201, Location: ?id=<uploadId>
+ *   HEAD   /api/resumable-upload?id=<uploadId>        -> Upload-Offset
+ *   PATCH  /api/resumable-upload?id=<uploadId>        -> append a chunk at Upload-Offset
+ *   DELETE /api/resumable-upload?id=<uploadId>        -> abort and discard the chunks
+ *   POST   /api/resumable-upload?id=<uploadId>&action=complete
+ *          -> stitches the chunks into the `videos` bucket, probes the file, generates
+ *             its thumbnails and creates the `videos` row. Answers 202 while any of
+ *             that is still in progress; call it again until 200.
+ *
+ * Chunks are kept as separate objects under `uploads/<uploadId>/` in the `videos`
+ * bucket until completion. State lives in the `video_uploads` table, whose status
+ * moves uploading -> assembling -> processing -> completed. Probe results and
+ * thumbnail URLs are kept there as each step finishes, so a completion call
+ * that runs out of time resumes after the last finished step:
+ *
+ *   alter table video_uploads
+ *     add column probe_metadata jsonb,
+ *     add column thumbnails jsonb;
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, HEAD, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Tus-Resumable, Upload-Length, Upload-Metadata, Upload-Offset');
+  res.setHeader('Access-Control-Expose-Headers', 'Location, Tus-Resumable, Upload-Length, Upload-Offset, Upload-Expires, Tus-Max-Size, Upload-Chunk-Size');
+  res.setHeader('Tus-Resumable', TUS_VERSION);
+
+  if (req.method === 'OPTIONS') {
+    res.setHeader('Tus-Version', TUS_VERSION);
+    res.setHeader('Tus-Extension', 'creation,termination');
+    res.setHeader('Tus-Max-Size', String(MAX_FILE_SIZE));
+    return res.status(200).end();
+  }
+
+  try {
+    const { id: uploadId, action } = req.query;
+
+    if (req.method === 'POST' && !uploadId) {
+      return await createUpload(req, res);
+    }
+
+    if (!uploadId) {
+      return res.status(400).json({ success: false, error: 'Upload ID required' });
+    }
+
+    const { data: upload, error: uploadError } = await supabase
+      .from('video_uploads')
+      .select('*')
+      .eq('id', uploadId)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (uploadError) {
+      console.error('❌ Upload lookup error:', uploadError);
+      return res.status(500).json({ success: false, error: 'Database error' });
+    }
+
+    if (!upload) {
+      return res.status(404).json({ success: false, error: 'Upload not found' });
+    }
+
+    if (upload.status !== 'completed' && new Date(upload.expires_at) < new Date()) {
+      await discardUpload(upload);
+      return res.status(410).json({ success: false, error: 'Upload expired' });
+    }
+
+    switch (req.method) {
+      case 'HEAD':
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('Upload-Offset', String(upload.upload_offset));
+        res.setHeader('Upload-Length', String(upload.upload_length));
+        res.setHeader('Upload-Expires', new Date(upload.expires_at).toUTCString());
+        return res.status(200).end();
+
+      case 'PATCH':
+        return await appendChunk(req, res, upload);
+
+      case 'DELETE':
+        await discardUpload(upload);
+        return res.status(204).end();
+
+      case 'POST':
+        if (action === 'complete') {
+          return await completeUpload(req, res, upload);
+        }
+        return res.status(400).json({ success: false, error: 'Invalid action. Use "complete"' });
+
+      default:
+        return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+  } catch (err) {
+    console.error('❌❌❌ Resumable upload error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+// Create a new upload from the tus Upload-Length / Upload-Metadata headers
+async function createUpload(req, res) {
+  const uploadLength = parseInt(req.headers['upload-length'], 10);
+  const metadata = parseUploadMetadata(req.headers['upload-metadata']);
+
+  if (!Number.isFinite(uploadLength) || uploadLength <= 0) {
+    return res.status(400).json({ success: false, error: 'Upload-Length header required' });
+  }
+
+  if (uploadLength > MAX_FILE_SIZE) {
+    return res.status(413).json({ success: false, error: 'File size must be less than 500MB' });
+  }
+
+  const filename = metadata.filename || 'video.mp4';
+  const mimeType = metadata.filetype || 'application/octet-stream';
+
+  if (!mimeType.startsWith('video/')) {
+    return res.status(415).json({ success: false, error: 'Only video files can be uploaded' });
+  }
+
+  const fieldError = validateVideoFields(metadata);
+  if (fieldError) {
+    return res.status(400).json({ success: false, error: fieldError });
+  }
+
+  const uploadId = uuidv4();
+  const videoId = uuidv4();
+  const videoExt = filename.split('.').pop().toLowerCase();
+  const expiresAt = new Date(Date.now() + UPLOAD_TTL_MS);
+
+  const { error: insertError } = await supabase
+    .from('video_uploads')
+    .insert({
+      id: uploadId,
+      user_id: req.user.id,
+      video_id: videoId,
+      object_name: `${req.user.id}/${videoId}.${videoExt}`,
+      filename,
+      mime_type: mimeType,
+      upload_length: uploadLength,
+      upload_offset: 0,
+      assembled_offset: 0,
+      storage_upload_url: null,
+      metadata: {
+        title: metadata.title,
+        description: metadata.description,
+        tags: metadata.tags,
+        category: metadata.category,
+        privacy: metadata.privacy,
+        aiGenerated: metadata.aiGenerated,
+        draft: metadata.draft,
+        publishAt: metadata.publishAt
+      },
+      status: 'uploading',
+      created_at: new Date().toISOString(),
+      expires_at: expiresAt.toISOString()
+    });
+
+  if (insertError) {
+    console.error('❌ Failed to create upload:', insertError);
+    return res.status(500).json({ success: false, error: 'Failed to create upload' });
+  }
+
+  console.log('📦 Resumable upload created:', uploadId, 'length:', uploadLength);
+
+  res.setHeader('Location', `/api/resumable-upload?id=${uploadId}`);
+  res.setHeader('Upload-Expires', expiresAt.toUTCString());
+  res.setHeader('Upload-Chunk-Size', String(CHUNK_SIZE));
+  return res.status(201).json({
+    success: true,
+    upload_id: uploadId,
+    chunk_size: CHUNK_SIZE,
+    expires_at: expiresAt.toISOString()
+  });
+}
+
+// Store one chunk at the offset the client claims, if it matches ours
+async function appendChunk(req, res, upload) {
+  if (upload.status !== 'uploading') {
+    return res.status(409).json({ success: false, error: 'Upload is no longer accepting chunks' });
+  }
+
+  if (!(req.headers['content-type'] || '').startsWith('application/offset+octet-stream')) {
+    return res.status(415).json({ success: false, error: 'Content-Type must be application/offset+octet-stream' });
+  }
+
+  const clientOffset = parseInt(req.headers['upload-offset'], 10);
+  if (clientOffset !== upload.upload_offset) {
+    res.setHeader('Upload-Offset', String(upload.upload_offset));
+    return res.status(409).json({ success: false, error: 'Upload-Offset mismatch', offset: upload.upload_offset });
+  }
+
+  const chunk = await readBody(req, CHUNK_SIZE);
+  if (!chunk) {
+    return res.status(413).json({ success: false, error: `Chunks must be at most ${CHUNK_SIZE} bytes` });
+  }
+
+  if (chunk.length === 0 || clientOffset + chunk.length > upload.upload_length) {
+    return res.status(400).json({ success: false, error: 'Chunk exceeds Upload-Length' });
+  }
+
+  const { error: partError } = await supabase.storage
+    .from('videos')
+    .upload(partName(upload.id, clientOffset), chunk, {
+      contentType: 'application/octet-stream',
+      upsert: true
+    });
+
+  if (partError) {
+    console.error('❌ Chunk upload failed:', partError);
+    return res.status(500).json({ success: false, error: 'Failed to store chunk' });
+  }
+
+  const newOffset = clientOffset + chunk.length;
+
+  // Only advance if nobody else moved the offset in the meantime
+  const { data: updated, error: updateError } = await supabase
+    .from('video_uploads')
+    .update({ upload_offset: newOffset })
+    .eq('id', upload.id)
+    .eq('upload_offset', clientOffset)
+    .select('upload_offset')
+    .maybeSingle();
+
+  if (updateError || !updated) {
+    console.error('❌ Failed to advance upload offset:', updateError);
+    return res.status(409).json({ success: false, error: 'Upload-Offset changed concurrently' });
+  }
+
+  res.setHeader('Upload-Offset', String(newOffset));
+  res.setHeader('Upload-Expires', new Date(upload.expires_at).toUTCString());
+  return res.status(204).end();
+}
+
+// Stitch the chunks into the final object, probe it, generate thumbnails and
+// create the videos row, one resumable step after the other
+async function completeUpload(req, res, upload) {
+  const startedAt = Date.now();
+
+  if (upload.status === 'completed') {
+    const { data: video } = await supabase
+      .from('videos')
+      .select('*')
+      .eq('id', upload.video_id)
+      .maybeSingle();
+
+    return res.status(200).json({ success: true, message: 'Video uploaded successfully', video });
+  }
+
+  if (upload.upload_offset < upload.upload_length) {
+    res.setHeader('Upload-Offset', String(upload.upload_offset));
+    return res.status(409).json({
+      success: false,
+      error: 'Upload is incomplete',
+      offset: upload.upload_offset,
+      length: upload.upload_length
+    });
+  }
+
+  if (upload.status === 'uploading') {
+    await supabase
+      .from('video_uploads')
+      .update({ status: 'assembling' })
+      .eq('id', upload.id);
+  }
+
+  if (upload.status !== 'processing') {
+    const assembled = await assembleUpload(upload);
+
+    if (!assembled.done) {
+      return res.status(202).json({
+        success: true,
+        status: 'assembling',
+        progress: Math.round((assembled.offset / upload.upload_length) * 100)
+      });
+    }
+
+    await supabase
+      .from('video_uploads')
+      .update({ status: 'processing' })
+      .eq('id', upload.id);
+  }
+
+  const hasTimeForStep = () => Date.now() - startedAt < PROCESSING_START_BUDGET_MS;
+
+  // Probe the stitched file for real metadata and reject mislabelled uploads
+  let metadata = upload.probe_metadata;
+  if (!metadata) {
+    if (!hasTimeForStep()) {
+      return res.status(202).json({ success: true, status: 'processing', progress: 100 });
+    }
+
+    const probe = await probeStoredVideo({ objectName: upload.object_name, mimeType: upload.mime_type });
+    if (probe.error) {
+      await supabase.storage.from('videos').remove([upload.object_name]);
+      await discardUpload(upload);
+      return res.status(415).json({ success: false, error: probe.error });
+    }
+
+    metadata = probe.metadata;
+    await supabase
+      .from('video_uploads')
+      .update({ probe_metadata: metadata })
+      .eq('id', upload.id);
+  }
+
+  // Generate the cover and thumbnails
+  let thumbnails = upload.thumbnails;
+  if (!thumbnails) {
+    if (!hasTimeForStep()) {
+      return res.status(202).json({ success: true, status: 'processing', progress: 100 });
+    }
+
+    thumbnails = await thumbnailStoredVideo({
+      objectName: upload.object_name,
+      userId: req.user.id,
+      videoId: upload.video_id,
+      duration: metadata.duration,
+      withCover: true
+    });
+    await supabase
+      .from('video_uploads')
+      .update({ thumbnails })
+      .eq('id', upload.id);
+  }
+
+  const { video, error: dbError } = await createVideoRecord({
+    user: req.user,
+    videoId: upload.video_id,
+    objectName: upload.object_name,
+    mimeType: upload.mime_type,
+    size: upload.upload_length,
+    filename: upload.filename,
+    coverUrl: thumbnails.cover_url,
+    metadata,
+    thumbnails,
+    fields: upload.metadata || {}
+  });
+
+  // The thumbnails stay with the upload for the client's retry
+  if (dbError) {
+    return res.status(500).json({ success: false, error: 'Failed to save video metadata' });
+  }
+
+  await supabase
+    .from('video_uploads')
+    .update({ status: 'completed', completed_at: new Date().toISOString() })
+    .eq('id', upload.id);
+
+  await removeParts(upload.id);
+
+  console.log('✅ Resumable upload completed:', upload.id, '->', upload.video_id);
+  return res.status(200).json({
+    success: true,
+    message: 'Video uploaded successfully',
+    video
+  });
+}
+
+/**
+ * Copy the stored chunks into the final object through Supabase's resumable
+ * storage endpoint, re-slicing them into the chunk size it requires. Progress
+ * is persisted in `assembled_offset` so a call that runs out of time can be
+ * picked up by the next one.
+ */
+async function assembleUpload(upload) {
+  let storageUrl = upload.storage_upload_url;
+  let sent = upload.assembled_offset || 0;
+
+  if (!storageUrl) {
+    storageUrl = await createStorageUpload(upload);
+    sent = 0;
+    await supabase
+      .from('video_uploads')
+      .update({ storage_upload_url: storageUrl, assembled_offset: 0 })
+      .eq('id', upload.id);
+  }
+
+  const parts = await listParts(upload.id);
+  const deadline = Date.now() + ASSEMBLY_TIME_BUDGET_MS;
+  let pending = Buffer.alloc(0);
+
+  for (const part of parts) {
+    const partEnd = part.offset + part.size;
+    const cursor = sent + pending.length;
+    if (partEnd <= cursor) continue;
+
+    const { data: blob, error: downloadError } = await supabase.storage
+      .from('videos')
+      .download(part.path);
+
+    if (downloadError) {
+      throw new Error(`Failed to read chunk at ${part.offset}: ${downloadError.message}`);
+    }
+
+    const data = Buffer.from(await blob.arrayBuffer());
+    pending = Buffer.concat([pending, data.subarray(Math.max(0, cursor - part.offset))]);
+
+    while (pending.length >= STORAGE_CHUNK_SIZE) {
+      sent = await patchStorageUpload(upload, storageUrl, sent, pending.subarray(0, STORAGE_CHUNK_SIZE));
+      pending = pending.subarray(STORAGE_CHUNK_SIZE);
+    }
+
+    if (Date.now() > deadline && sent + pending.length < upload.upload_length) {
+      return { done: false, offset: sent };
+    }
+  }
+
+  if (pending.length > 0) {
+    sent = await patchStorageUpload(upload, storageUrl, sent, pending);
+  }
+
+  return { done: sent >= upload.upload_length, offset: sent };
+}
+
+async function createStorageUpload(upload) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/storage/v1/upload/resumable`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Length': String(upload.upload_length),
+      'Upload-Metadata': encodeUploadMetadata({
+        bucketName: 'videos',
+        objectName: upload.object_name,
+        contentType: upload.mime_type,
+        cacheControl: 'public, max-age=31536000'
+      }),
+      'x-upsert': 'true'
+    }
+  });
+
+  if (response.status !== 201) {
+    throw new Error(`Storage upload creation failed with status ${response.status}`);
+  }
+
+  return new URL(response.headers.get('location'), process.env.SUPABASE_URL).toString();
+}
+
+async function patchStorageUpload(upload, storageUrl, offset, data) {
+  const response = await fetch(storageUrl, {
+    method: 'PATCH',
+    headers: {
+      Authorization: `Bearer ${process.env.SUPABASE_SERVICE_ROLE_KEY}`,
+      'Tus-Resumable': TUS_VERSION,
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream'
+    },
+    body: data
+  });
+
+  if (response.status === 404 || response.status === 410) {
+    // The storage-side upload expired; start the stitching over on the next call
+    await supabase
+      .from('video_uploads')
+      .update({ storage_upload_url: null, assembled_offset: 0 })
+      .eq('id', upload.id);
+    throw new Error('Storage upload expired, retry completion');
+  }
+
+  if (response.status !== 204) {
+    throw new Error(`Storage chunk upload failed with status ${response.status}`);
+  }
+
+  const newOffset = offset + data.length;
+  await supabase
+    .from('video_uploads')
+    .update({ assembled_offset: newOffset })
+    .eq('id', upload.id);
+
+  return newOffset;
+}
+
+async function listParts(uploadId) {
+  const { data: files, error } = await supabase.storage
+    .from('videos')
+    .list(`uploads/${uploadId}`, { limit: 1000, sortBy: { column: 'name', order: 'asc' } });
+
+  if (error) {
+    throw new Error(`Failed to list chunks: ${error.message}`);
+  }
+
+  return (files || [])
+    .map(file => ({
+      path: `uploads/${uploadId}/${file.name}`,
+      offset: parseInt(file.name, 10),
+      size: file.metadata?.size || 0
+    }))
+    .filter(part => Number.isFinite(part.offset))
+    .sort((a, b) => a.offset - b.offset);
+}
+
+async function removeParts(uploadId) {
+  try {
+    const parts = await listParts(uploadId);
+    if (parts.length > 0) {
+      await supabase.storage.from('videos').remove(parts.map(part => part.path));
+    }
+  } catch (err) {
+    console.error('⚠️ Failed to clean up chunks:', err.message);
+  }
+}
+
+async function discardUpload(upload) {
+  await removeParts(upload.id);
+  if (upload.thumbnails) {
+    await removeThumbnails(upload.user_id, upload.video_id);
+  }
+  await supabase
+    .from('video_uploads')
+    .delete()
+    .eq('id', upload.id);
+}
+
+function partName(uploadId, offset) {
+  return `uploads/${uploadId}/${String(offset).padStart(12, '0')}`;
+}
+
+// "key base64value,key2 base64value2" -> { key: 'value', key2: 'value2' }
+function parseUploadMetadata(header) {
+  const metadata = {};
+  if (!header) return metadata;
+
+  for (const pair of header.split(',')) {
+    const [key, value] = pair.trim().split(' ');
+    if (!key) continue;
+    metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+  }
+  return metadata;
+}
+
+function encodeUploadMetadata(metadata) {
+  return Object.entries(metadata)
+    .map(([key, value]) => `${key} ${Buffer.from(String(value), 'utf8').toString('base64')}`)
+    .join(',');
+}
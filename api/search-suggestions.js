@@ -0,0 +1,42 @@
+// pages/api/search-suggestions.js - prefix autocomplete for the search bar
+import { getSuggestions } from './videoSearch.js';
+
+/*
+ * GET /api/search-suggestions?q=cat   -> { suggestions: [{ text, kind }] }
+ *
+ * kind is 'video' (a title), 'tag' or 'creator'. Only public videos are used.
+ */
+export default async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { suggestions, error } = await getSuggestions(req.query.q);
+
+    if (error) {
+      console.error('❌ Search suggestions error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load suggestions' });
+    }
+
+    // Suggestions change slowly; let the CDN absorb the keystrokes
+    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+    return res.status(200).json({ success: true, suggestions });
+  } catch (err) {
+    console.error('💥 Search suggestions API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
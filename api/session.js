@@ -0,0 +1,222 @@
+import { createClient } from '@supabase/supabase-js';
+import cookie from 'cookie';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const SESSION_COOKIES = ['__Host-session_secure', 'session_secure'];
+
+/**
+ * Read the session token from the request cookies
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+export function getSessionToken(req) {
+  const cookies = cookie.parse(req.headers.cookie || '');
+  for (const name of SESSION_COOKIES) {
+    if (cookies[name]) return cookies[name];
+  }
+  return null;
+}
+
+/**
+ * Expire every session cookie we might have set on the client
+ * @param {import('http').ServerResponse} res
+ */
+export function clearSessionCookie(res) {
+  res.setHeader('Set-Cookie', SESSION_COOKIES.map(name => cookie.serialize(name, '', {
+    httpOnly: true,
+    secure: true,
+    sameSite: 'strict',
+    maxAge: 0, // Expire immediately
+    path: '/'
+  })));
+}
+
+/**
+ * Delete a session row and clear the client cookie
+ * @param {import('http').ServerResponse} res
+ * @param {string} sessionToken
+ */
+async function destroySession(res, sessionToken) {
+  const { error } = await supabase
+    .from('sessions')
+    .delete()
+    .eq('session_token', sessionToken);
+
+  if (error) {
+    console.error('❌ Failed to delete session:', error);
+  }
+  clearSessionCookie(res);
+}
+
+/**
+ * Resolve the user behind the request's session cookie.
+ *
+ * Users are looked up by `user_email` first and `user_id` second; when the
+ * email lookup finds a user whose id differs from the session's `user_id`
+ * the session row is repaired. Expired and orphaned sessions are deleted and
+ * their cookie cleared.
+ *
+ * @param {import('http').IncomingMessage} req
+ * @param {import('http').ServerResponse} res
+ * @returns {Promise<{ user: object|null, session: object|null, error: string|null, status: number }>}
+ */
+export async function resolveSession(req, res) {
+  const sessionToken = getSessionToken(req);
+
+  if (!sessionToken) {
+    return { user: null, session: null, error: 'No session token found', status: 401 };
+  }
+
+  const { data: session, error: sessionError } = await supabase
+    .from('sessions')
+    .select('*')
+    .eq('session_token', sessionToken)
+    .maybeSingle();
+
+  if (sessionError) {
+    console.error('❌ Session query error:', sessionError);
+    return { user: null, session: null, error: 'Database error', status: 500 };
+  }
+
+  if (!session) {
+    clearSessionCookie(res);
+    return { user: null, session: null, error: 'Session not found', status: 401 };
+  }
+
+  if (new Date(session.expires_at) < new Date()) {
+    console.log('🗑️ Deleting expired session');
+    await destroySession(res, sessionToken);
+    return { user: null, session: null, error: 'Session expired', status: 401 };
+  }
+
+  let user = null;
+
+  if (session.user_email) {
+    const { data: userByEmail, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('email', session.user_email)
+      .maybeSingle();
+
+    if (userError) {
+      console.error('❌ User query error:', userError);
+    }
+    user = userByEmail;
+
+    // Repair sessions created before the user row existed or with a stale id
+    if (userByEmail && session.user_id !== userByEmail.id) {
+      const { error: updateError } = await supabase
+        .from('sessions')
+        .update({ user_id: userByEmail.id })
+        .eq('session_token', sessionToken);
+
+      if (updateError) {
+        // Expected when the FK constraint to auth.users fails
+        console.error('⚠️ Could not update session user_id:', updateError.message);
+      } else {
+        session.user_id = userByEmail.id;
+      }
+    }
+  }
+
+  if (!user && session.user_id) {
+    const { data: userById } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', session.user_id)
+      .maybeSingle();
+
+    user = userById;
+  }
+
+  if (!user) {
+    console.error('❌ No user found for session, deleting orphaned session');
+    await destroySession(res, sessionToken);
+    return { user: null, session: null, error: 'User account not found', status: 401 };
+  }
+
+  return { user, session, error: null, status: 200 };
+}
+
+/**
+ * Wrap an API handler so the session is resolved once before it runs.
+ *
+ * The handler receives `req.user` (or `null` for guests), `req.session` and
+ * `req.authError`. With `required: true` unauthenticated requests are answered
+ * with 401 before the handler runs. Suspended users are treated as guests
+ * (or rejected with 403 when required) unless `allowSuspended` is set.
+ * Preflight `OPTIONS` requests are passed straight through. The CORS headers
+ * are set before anything is answered, so cross-origin clients can read the
+ * 401, 403 and 500 responses too; handlers may still narrow them.
+ *
+ * @param {Function} handler
+ * @param {{ required?: boolean, allowSuspended?: boolean }} [options]
+ * @returns {Function}
+ */
+export function withSession(handler, { required = false, allowSuspended = false } = {}) {
+  return async function sessionHandler(req, res) {
+    setCorsHeaders(req, res);
+    req.user = null;
+    req.session = null;
+    req.authError = null;
+
+    if (req.method === 'OPTIONS') {
+      return handler(req, res);
+    }
+
+    let resolved;
+    try {
+      resolved = await resolveSession(req, res);
+    } catch (err) {
+      console.error('💥 Session resolution error:', err);
+      resolved = { user: null, session: null, error: 'Internal server error', status: 500 };
+    }
+
+    const { user, session, error, status } = resolved;
+
+    if (status === 500) {
+      return res.status(500).json({ success: false, error });
+    }
+
+    if (user && user.suspended && !allowSuspended) {
+      if (required) {
+        return res.status(403).json({
+          success: false,
+          error: 'Account suspended: ' + (user.suspension_reason || 'Contact support')
+        });
+      }
+      req.authError = 'Account suspended';
+      return handler(req, res);
+    }
+
+    req.user = user;
+    req.session = session;
+    req.authError = error;
+
+    if (required && !user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    return handler(req, res);
+  };
+}
+
+// The same headers every endpoint sets for itself; Allow-Methods is left to the handler
+function setCorsHeaders(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+}
+
+/**
+ * Shorthand for `withSession(handler, { required: true })`
+ * @param {Function} handler
+ * @returns {Function}
+ */
+export function requireUser(handler) {
+  return withSession(handler, { required: true });
+}
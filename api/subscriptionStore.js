@@ -0,0 +1,190 @@
+import { createClient } from '@supabase/supabase-js';
+import { notifyMany } from './notificationStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * subscriptions: subscriber_id, creator_id, created_at
+ *   both ids reference users (id); unique (subscriber_id, creator_id)
+ *
+ * users.subscriber_count is recounted from the table after every change, the
+ * same way likes_count is kept for videos and comments, so a lost update
+ * fixes itself on the next subscribe or unsubscribe.
+ *
+ * Upload notifications are not sent inside the upload or publish request: the
+ * video is queued in upload_notifications and /api/publish-scheduled tells its
+ * subscribers a page at a time, keeping its place in last_subscriber_id so a
+ * channel of any size is worked off over as many runs as it takes.
+ *   create table upload_notifications (
+ *     video_id uuid primary key references videos (id) on delete cascade,
+ *     creator_id uuid not null references users (id) on delete cascade,
+ *     last_subscriber_id uuid,
+ *     created_at timestamptz not null default now()
+ *   );
+ *
+ * The subscriptions feed in /api/view-videos selects from this function, so
+ * PostgREST embeds, filters, sorts and pages it like the videos table without
+ * the creator ids ever leaving the database:
+ *   create or replace function subscribed_videos(viewer_id uuid) returns setof videos
+ *   language sql stable as $$
+ *     select v.* from videos v
+ *     where v.privacy = 'public'
+ *       and v.user_id in (select creator_id from subscriptions where subscriber_id = viewer_id);
+ *   $$;
+ */
+
+const FETCH_PAGE_SIZE = 1000;
+const FANOUT_TIME_BUDGET_MS = 30 * 1000;
+const FANOUT_JOBS_PER_RUN = 20;
+
+/**
+ * Whether `subscriberId` follows `creatorId`
+ * @param {string} subscriberId
+ * @param {string} creatorId
+ * @returns {Promise<boolean>}
+ */
+export async function isSubscribed(subscriberId, creatorId) {
+  if (!subscriberId || !creatorId) return false;
+
+  const { data } = await supabase
+    .from('subscriptions')
+    .select('creator_id')
+    .eq('subscriber_id', subscriberId)
+    .eq('creator_id', creatorId)
+    .maybeSingle();
+
+  return !!data;
+}
+
+/**
+ * Ids of every creator a user follows
+ * @param {string} subscriberId
+ * @returns {Promise<{ creatorIds: string[], error: object|null }>}
+ */
+export async function getSubscribedCreatorIds(subscriberId) {
+  const creatorIds = [];
+
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('subscriptions')
+      .select('creator_id')
+      .eq('subscriber_id', subscriberId)
+      .order('creator_id', { ascending: true })
+      .range(from, from + FETCH_PAGE_SIZE - 1);
+
+    if (error) return { creatorIds, error };
+    creatorIds.push(...data.map(row => row.creator_id));
+    if (data.length < FETCH_PAGE_SIZE) return { creatorIds, error: null };
+  }
+}
+
+/**
+ * Recount a creator's subscribers and store the result on the user row
+ * @param {string} creatorId
+ * @returns {Promise<number>}
+ */
+export async function refreshSubscriberCount(creatorId) {
+  const { count } = await supabase
+    .from('subscriptions')
+    .select('*', { count: 'exact', head: true })
+    .eq('creator_id', creatorId);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ subscriber_count: count || 0 })
+    .eq('id', creatorId);
+
+  if (error) {
+    console.error('❌ Subscriber count update error:', error);
+  }
+  return count || 0;
+}
+
+/**
+ * Queue the notification of a new public video for the uploader's
+ * subscribers; `deliverUploadNotifications` sends it
+ * @param {object} video - videos row (needs id, user_id)
+ */
+export async function queueUploadNotifications(video) {
+  const { error } = await supabase
+    .from('upload_notifications')
+    .upsert({
+      video_id: video.id,
+      creator_id: video.user_id,
+      last_subscriber_id: null,
+      created_at: new Date().toISOString()
+    }, { onConflict: 'video_id', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('❌ Upload notification queue error:', error);
+  }
+}
+
+/**
+ * Work off queued upload notifications, oldest first, until the queue is empty
+ * or FANOUT_TIME_BUDGET_MS is spent. Subscribers who turned video_upload
+ * notifications off are skipped, and so are videos that are no longer public.
+ * @returns {Promise<number>} notifications written
+ */
+export async function deliverUploadNotifications() {
+  const deadline = Date.now() + FANOUT_TIME_BUDGET_MS;
+  let notified = 0;
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('upload_notifications')
+    .select('video_id, creator_id, last_subscriber_id, videos ( id, title, privacy ), users ( id, username )')
+    .order('created_at', { ascending: true })
+    .limit(FANOUT_JOBS_PER_RUN);
+
+  if (jobsError) {
+    console.error('❌ Upload notification queue fetch error:', jobsError);
+    return notified;
+  }
+
+  for (const job of jobs) {
+    let cursor = job.last_subscriber_id;
+
+    while (job.videos?.privacy === 'public' && job.users) {
+      if (Date.now() > deadline) return notified;
+
+      let query = supabase
+        .from('subscriptions')
+        .select('subscriber_id')
+        .eq('creator_id', job.creator_id)
+        .order('subscriber_id', { ascending: true })
+        .limit(FETCH_PAGE_SIZE);
+      if (cursor) query = query.gt('subscriber_id', cursor);
+
+      const { data: subscribers, error } = await query;
+      if (error) {
+        console.error('❌ Subscribers fetch error:', error);
+        return notified;
+      }
+
+      notified += await notifyMany(subscribers.map(({ subscriber_id }) => subscriber_id), 'video_upload', job.users, {
+        video_id: job.video_id,
+        video_title: job.videos.title
+      });
+      if (subscribers.length < FETCH_PAGE_SIZE) break;
+
+      cursor = subscribers[subscribers.length - 1].subscriber_id;
+      await supabase
+        .from('upload_notifications')
+        .update({ last_subscriber_id: cursor })
+        .eq('video_id', job.video_id);
+    }
+
+    await supabase
+      .from('upload_notifications')
+      .delete()
+      .eq('video_id', job.video_id);
+  }
+
+  if (notified > 0) {
+    console.log(`🔔 Notified ${notified} subscribers about new uploads`);
+  }
+  return notified;
+}
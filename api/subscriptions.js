@@ -0,0 +1,187 @@
+// pages/api/subscriptions.js - subscribe to creators
+import { createClient } from '@supabase/supabase-js';
+import { withSession } from './session.js';
+import { clampLimit } from './pagination.js';
+import { isSubscribed, refreshSubscriberCount } from './subscriptionStore.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+/*
+ * GET    /api/subscriptions?creatorId=           { subscribed, subscriber_count }
+ * GET    /api/subscriptions?offset=&limit=       creators the viewer follows, newest first
+ * POST   /api/subscriptions   { creatorId }      subscribe
+ * DELETE /api/subscriptions?creatorId=           unsubscribe
+ *
+ * New uploads from followed creators are listed by
+ * /api/view-videos?view=subscriptions.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  try {
+    if (req.method === 'GET' && req.query.creatorId) {
+      return await getSubscriptionStatus(req, res);
+    }
+
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ success: false, error: 'Method not allowed' });
+    }
+
+    if (!req.user) {
+      return res.status(401).json({ success: false, error: 'Not authenticated' });
+    }
+
+    if (req.method === 'GET') return await listSubscriptions(req, res);
+    if (req.method === 'POST') return await subscribe(req, res);
+    return await unsubscribe(req, res);
+  } catch (err) {
+    console.error('💥 Subscriptions API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default withSession(handler);
+
+async function getSubscriptionStatus(req, res) {
+  const { data: creator } = await supabase
+    .from('users')
+    .select('id, subscriber_count')
+    .eq('id', req.query.creatorId)
+    .maybeSingle();
+
+  if (!creator) {
+    return res.status(404).json({ success: false, error: 'Creator not found' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    creator_id: creator.id,
+    subscribed: await isSubscribed(req.user?.id, creator.id),
+    subscriber_count: creator.subscriber_count || 0
+  });
+}
+
+async function listSubscriptions(req, res) {
+  const limit = clampLimit(req.query.limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = Math.max(0, parseInt(req.query.offset, 10) || 0);
+
+  const { data, error, count } = await supabase
+    .from('subscriptions')
+    .select(`
+      created_at,
+      users!subscriptions_creator_id_fkey (
+        id,
+        username,
+        avatar_url,
+        profile_picture,
+        subscriber_count
+      )
+    `, { count: 'exact' })
+    .eq('subscriber_id', req.user.id)
+    .order('created_at', { ascending: false })
+    .order('creator_id', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('❌ Subscriptions fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load subscriptions' });
+  }
+
+  const subscriptions = (data || [])
+    .filter(row => row.users)
+    .map(({ created_at, users: creator }) => ({
+      id: creator.id,
+      username: creator.username || 'User',
+      avatar_url: creator.avatar_url || creator.profile_picture ||
+        `https://ui-avatars.com/api/?name=${encodeURIComponent(creator.username || 'User')}&background=random`,
+      subscriber_count: creator.subscriber_count || 0,
+      subscribed_at: created_at
+    }));
+
+  return res.status(200).json({
+    success: true,
+    subscriptions,
+    total: count || 0,
+    has_more: offset + (data || []).length < (count || 0)
+  });
+}
+
+async function subscribe(req, res) {
+  const { creatorId } = req.body || {};
+
+  if (!creatorId) {
+    return res.status(400).json({ success: false, error: 'creatorId required' });
+  }
+  if (creatorId === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You cannot subscribe to yourself' });
+  }
+
+  const { data: creator } = await supabase
+    .from('users')
+    .select('id, username')
+    .eq('id', creatorId)
+    .maybeSingle();
+
+  if (!creator) {
+    return res.status(404).json({ success: false, error: 'Creator not found' });
+  }
+
+  // Subscribing twice is a no-op
+  const { error } = await supabase
+    .from('subscriptions')
+    .upsert(
+      { subscriber_id: req.user.id, creator_id: creator.id, created_at: new Date().toISOString() },
+      { onConflict: 'subscriber_id,creator_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    console.error('❌ Subscribe error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to subscribe' });
+  }
+
+  const subscriberCount = await refreshSubscriberCount(creator.id);
+  console.log(`➕ ${req.user.id} subscribed to ${creator.id}`);
+
+  return res.status(200).json({ success: true, subscribed: true, subscriber_count: subscriberCount });
+}
+
+async function unsubscribe(req, res) {
+  const { creatorId } = req.query;
+
+  if (!creatorId) {
+    return res.status(400).json({ success: false, error: 'creatorId required' });
+  }
+
+  const { error } = await supabase
+    .from('subscriptions')
+    .delete()
+    .eq('subscriber_id', req.user.id)
+    .eq('creator_id', creatorId);
+
+  if (error) {
+    console.error('❌ Unsubscribe error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to unsubscribe' });
+  }
+
+  const subscriberCount = await refreshSubscriberCount(creatorId);
+  console.log(`➖ ${req.user.id} unsubscribed from ${creatorId}`);
+
+  return res.status(200).json({ success: true, subscribed: false, subscriber_count: subscriberCount });
+}
@@ -0,0 +1,190 @@
+import { createClient } from '@supabase/supabase-js';
+import ffmpegPath from 'ffmpeg-static';
+import { execFile } from 'child_process';
+import { readFile, unlink } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { promisify } from 'util';
+import { v4 as uuidv4 } from 'uuid';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const execFileAsync = promisify(execFile);
+
+const COVER_WIDTH = 1280;
+const SPRITE_FRAME_WIDTH = 160;
+const SPRITE_FRAME_HEIGHT = 90;
+const SPRITE_COLUMNS = 10;
+const SPRITE_MAX_FRAMES = 100;
+
+/**
+ * Run ffmpeg with `args`, writing a single image to a temp file, and return its bytes
+ * @param {string[]} args - ffmpeg arguments without the output path
+ * @returns {Promise<Buffer>}
+ */
+async function renderImage(args) {
+  const outPath = join(tmpdir(), `thumb-${uuidv4()}.jpg`);
+  try {
+    await execFileAsync(ffmpegPath, ['-y', '-v', 'error', ...args, outPath], { timeout: 60 * 1000 });
+    return await readFile(outPath);
+  } finally {
+    await unlink(outPath).catch(() => {});
+  }
+}
+
+/**
+ * Pick a representative frame around the first tenth of the video.
+ * ffmpeg's `thumbnail` filter chooses the least "outlying" frame of a batch,
+ * which skips black fades and flash frames.
+ * @param {string} input - local path or URL of the video
+ * @param {number|null} duration - seconds
+ * @returns {Promise<Buffer>} JPEG
+ */
+export function generateCover(input, duration) {
+  const seekTo = duration ? Math.min(duration * 0.1, 30) : 0;
+  return renderImage([
+    '-ss', seekTo.toFixed(2),
+    '-i', input,
+    '-vf', `thumbnail=60,scale=${COVER_WIDTH}:-2`,
+    '-frames:v', '1',
+    '-q:v', '3'
+  ]);
+}
+
+/**
+ * Tile evenly spaced frames into one sprite sheet for hover-scrubbing
+ * @param {string} input - local path or URL of the video
+ * @param {number} duration - seconds
+ * @returns {Promise<{ buffer: Buffer, frames: number, interval: number }>}
+ */
+export async function generateSprite(input, duration) {
+  const interval = Math.max(1, Math.ceil(duration / SPRITE_MAX_FRAMES));
+  const frames = Math.max(1, Math.min(SPRITE_MAX_FRAMES, Math.ceil(duration / interval)));
+  const rows = Math.ceil(frames / SPRITE_COLUMNS);
+
+  const buffer = await renderImage([
+    '-i', input,
+    '-vf', [
+      `fps=1/${interval}`,
+      `scale=${SPRITE_FRAME_WIDTH}:${SPRITE_FRAME_HEIGHT}:force_original_aspect_ratio=decrease`,
+      `pad=${SPRITE_FRAME_WIDTH}:${SPRITE_FRAME_HEIGHT}:(ow-iw)/2:(oh-ih)/2`,
+      `tile=${SPRITE_COLUMNS}x${rows}`
+    ].join(','),
+    '-frames:v', '1',
+    '-q:v', '5'
+  ]);
+
+  return { buffer, frames, interval };
+}
+
+/**
+ * Build a WebVTT thumbnail track pointing each time range at a sprite tile
+ * @param {string} spriteUrl
+ * @param {{ frames: number, interval: number }} sprite
+ * @param {number} duration - seconds
+ * @returns {string}
+ */
+export function buildThumbnailTrack(spriteUrl, { frames, interval }, duration) {
+  const cues = ['WEBVTT', ''];
+
+  for (let i = 0; i < frames; i++) {
+    const start = i * interval;
+    const end = Math.min((i + 1) * interval, duration);
+    const x = (i % SPRITE_COLUMNS) * SPRITE_FRAME_WIDTH;
+    const y = Math.floor(i / SPRITE_COLUMNS) * SPRITE_FRAME_HEIGHT;
+
+    cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}`);
+    cues.push(`${spriteUrl}#xywh=${x},${y},${SPRITE_FRAME_WIDTH},${SPRITE_FRAME_HEIGHT}`);
+    cues.push('');
+  }
+
+  return cues.join('\n');
+}
+
+/**
+ * Generate the cover (optional), sprite sheet and thumbnail track for a video
+ * and store them in the `covers` bucket. Failures are logged and leave the
+ * corresponding URL null; they never fail the upload.
+ *
+ * @param {object} params
+ * @param {string} params.input - local path or URL of the video
+ * @param {string} params.userId
+ * @param {string} params.videoId
+ * @param {number|null} params.duration - seconds
+ * @param {boolean} params.withCover - extract a cover frame too
+ * @returns {Promise<{ cover_url: string|null, sprite_url: string|null, thumbnails_vtt_url: string|null }>}
+ */
+export async function createThumbnails({ input, userId, videoId, duration, withCover }) {
+  const result = { cover_url: null, sprite_url: null, thumbnails_vtt_url: null };
+
+  if (withCover) {
+    try {
+      const cover = await generateCover(input, duration);
+      result.cover_url = await storeAsset(`${userId}/${videoId}.jpg`, cover, 'image/jpeg');
+    } catch (err) {
+      console.error('⚠️ Cover extraction failed:', err.message);
+    }
+  }
+
+  if (duration) {
+    try {
+      const sprite = await generateSprite(input, duration);
+      result.sprite_url = await storeAsset(`${userId}/${videoId}-sprite.jpg`, sprite.buffer, 'image/jpeg');
+
+      if (result.sprite_url) {
+        const track = buildThumbnailTrack(result.sprite_url, sprite, duration);
+        result.thumbnails_vtt_url = await storeAsset(`${userId}/${videoId}-thumbnails.vtt`, Buffer.from(track), 'text/vtt');
+      }
+    } catch (err) {
+      console.error('⚠️ Sprite generation failed:', err.message);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Remove whatever `createThumbnails` stored for a video
+ * @param {string} userId
+ * @param {string} videoId
+ */
+export async function removeThumbnails(userId, videoId) {
+  await supabase.storage
+    .from('covers')
+    .remove([
+      `${userId}/${videoId}.jpg`,
+      `${userId}/${videoId}-sprite.jpg`,
+      `${userId}/${videoId}-thumbnails.vtt`
+    ]);
+}
+
+async function storeAsset(path, buffer, contentType) {
+  const { error } = await supabase.storage
+    .from('covers')
+    .upload(path, buffer, {
+      contentType,
+      cacheControl: 'public, max-age=31536000',
+      upsert: true
+    });
+
+  if (error) {
+    console.error(`❌ Failed to store ${path}:`, error);
+    return null;
+  }
+
+  const { data } = supabase.storage
+    .from('covers')
+    .getPublicUrl(path);
+  return data.publicUrl;
+}
+
+// 75.5 -> "00:01:15.500"
+function formatTimestamp(seconds) {
+  const hrs = Math.floor(seconds / 3600);
+  const mins = Math.floor((seconds % 3600) / 60);
+  const secs = (seconds % 60).toFixed(3).padStart(6, '0');
+  return `${String(hrs).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${secs}`;
+}
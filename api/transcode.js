@@ -0,0 +1,162 @@
+import { createClient } from '@supabase/supabase-js';
+import ffmpegPath from 'ffmpeg-static';
+import { execFile } from 'child_process';
+import { mkdtemp, readdir, readFile, rm, mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { promisify } from 'util';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const execFileAsync = promisify(execFile);
+
+const SEGMENT_SECONDS = 6;
+// Leaves a rendition's upload time inside process-videos' maxDuration
+const RENDITION_TIMEOUT_MS = 4 * 60 * 1000;
+
+// Renditions from best to worst; only those at or below the source height are produced
+export const HLS_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 96 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 }
+];
+
+/**
+ * Pick the ladder rungs worth producing for a source of the given height
+ * @param {number|null} sourceHeight
+ * @returns {Array<object>}
+ */
+export function selectRenditions(sourceHeight) {
+  const rungs = HLS_LADDER.filter(rung => !sourceHeight || rung.height <= sourceHeight);
+  return rungs.length > 0 ? rungs : [HLS_LADDER[HLS_LADDER.length - 1]];
+}
+
+/**
+ * Transcode one rendition into HLS segments and a media playlist in `outDir`
+ * @param {string} input - local path or URL of the original
+ * @param {string} outDir
+ * @param {object} rung - entry of HLS_LADDER
+ */
+async function transcodeRendition(input, outDir, rung) {
+  await mkdir(outDir, { recursive: true });
+
+  await execFileAsync(ffmpegPath, [
+    '-y', '-v', 'error',
+    '-i', input,
+    '-map', '0:v:0', '-map', '0:a:0?',
+    '-vf', `scale=-2:${rung.height}`,
+    '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'main',
+    '-b:v', `${rung.videoBitrate}k`,
+    '-maxrate', `${Math.round(rung.videoBitrate * 1.07)}k`,
+    '-bufsize', `${rung.videoBitrate * 2}k`,
+    '-g', '48', '-keyint_min', '48', '-sc_threshold', '0',
+    '-c:a', 'aac', '-b:a', `${rung.audioBitrate}k`, '-ac', '2',
+    '-hls_time', String(SEGMENT_SECONDS),
+    '-hls_playlist_type', 'vod',
+    '-hls_segment_filename', join(outDir, 'segment_%04d.ts'),
+    join(outDir, 'index.m3u8')
+  ], { timeout: RENDITION_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+}
+
+/**
+ * Build the master playlist that lists every rendition
+ * @param {Array<object>} rungs
+ * @param {{ width: number|null, height: number|null }} source
+ * @returns {string}
+ */
+export function buildMasterPlaylist(rungs, { width, height }) {
+  const aspect = width && height ? width / height : 16 / 9;
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rung of rungs) {
+    const bandwidth = Math.round((rung.videoBitrate + rung.audioBitrate) * 1000 * 1.1);
+    const renditionWidth = Math.round((rung.height * aspect) / 2) * 2;
+    lines.push(`#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${renditionWidth}x${rung.height},NAME="${rung.name}"`);
+    lines.push(`${rung.name}/index.m3u8`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Transcode the first rendition of the ladder that is not in `done` and upload
+ * it under `<prefix>/hls/<name>/` in the `videos` bucket. One rendition per
+ * call keeps a run inside the function time limit, and /tmp only ever holds
+ * that rendition's segments: ffmpeg streams the original from `sourceUrl`.
+ *
+ * @param {object} params
+ * @param {string} params.sourceUrl - signed URL of the original
+ * @param {string} params.prefix - storage prefix, e.g. `<userId>/<videoId>`
+ * @param {number|null} params.height - source height
+ * @param {string[]} params.done - names of the renditions already stored
+ * @returns {Promise<string|null>} name of the rendition produced, or null when none is left
+ */
+export async function transcodeNextRendition({ sourceUrl, prefix, height, done }) {
+  const rung = selectRenditions(height).find(candidate => !done.includes(candidate.name));
+  if (!rung) return null;
+
+  const outDir = await mkdtemp(join(tmpdir(), `hls-${rung.name}-`));
+  try {
+    console.log(`🎬 Transcoding ${prefix} -> ${rung.name}`);
+    await transcodeRendition(sourceUrl, outDir, rung);
+
+    for (const file of await readdir(outDir)) {
+      await uploadHlsFile(`${prefix}/hls/${rung.name}/${file}`, await readFile(join(outDir, file)));
+    }
+    return rung.name;
+  } finally {
+    await rm(outDir, { recursive: true, force: true }).catch(() => {});
+  }
+}
+
+/**
+ * Store the master playlist once every rendition is in place
+ * @param {object} params
+ * @param {string} params.prefix
+ * @param {number|null} params.width - source width
+ * @param {number|null} params.height - source height
+ * @returns {Promise<string>} storage path of the master playlist
+ */
+export async function storeMasterPlaylist({ prefix, width, height }) {
+  const masterPath = `${prefix}/hls/master.m3u8`;
+  await uploadHlsFile(masterPath, Buffer.from(buildMasterPlaylist(selectRenditions(height), { width, height })));
+  return masterPath;
+}
+
+/**
+ * Remove every HLS file stored under `<prefix>/hls/`
+ * @param {string} prefix
+ */
+export async function removeHls(prefix) {
+  const paths = [`${prefix}/hls/master.m3u8`];
+
+  for (const rung of HLS_LADDER) {
+    const { data: files } = await supabase.storage
+      .from('videos')
+      .list(`${prefix}/hls/${rung.name}`, { limit: 1000 });
+
+    (files || []).forEach(file => paths.push(`${prefix}/hls/${rung.name}/${file.name}`));
+  }
+
+  await supabase.storage.from('videos').remove(paths);
+}
+
+async function uploadHlsFile(path, buffer) {
+  const contentType = path.endsWith('.m3u8') ? 'application/vnd.apple.mpegurl' : 'video/mp2t';
+  const { error } = await supabase.storage
+    .from('videos')
+    .upload(path, buffer, {
+      contentType,
+      cacheControl: 'public, max-age=31536000',
+      upsert: true
+    });
+
+  if (error) {
+    throw new Error(`Failed to store ${path}: ${error.message}`);
+  }
+}
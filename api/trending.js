@@ -0,0 +1,185 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * trending_rankings: category, video_id, rank, score, computed_at
+ *   One batch per run (all rows share computed_at) for 'all' and every
+ *   category.
+ * trending_runs: computed_at, videos, categories
+ *   Written once a batch is completely stored; readers use the batch of the
+ *   newest run, so they never see a half-written ranking.
+ *
+ * score = (views in last 24h + 0.5 * views 24-48h ago + 3 * likes + 5 * comments)
+ *         / (age in hours + 2) ^ GRAVITY
+ * Likes and comments count over the same 48h window, so the score follows
+ * recent activity and a video's age slowly pulls it down.
+ *
+ * The window is counted in Postgres, one row per public video with activity,
+ * so no raw event is loaded into the function:
+ *
+ *   create or replace function trending_activity(window_start timestamptz, day_start timestamptz)
+ *   returns table (
+ *     video_id uuid, category text, created_at timestamptz,
+ *     views_24h bigint, views_48h bigint, likes bigint, comments bigint
+ *   ) language sql stable as $$
+ *     with activity as (
+ *       select e.video_id, e.created_at >= day_start as recent, 'view' as kind
+ *         from view_events e
+ *         where e.counted and e.created_at >= window_start
+ *       union all
+ *       select v.id, true, 'like'
+ *         from likes l join videos v on l.target_id = v.id::text
+ *         where l.target_type = 'video' and l.created_at >= window_start
+ *       union all
+ *       select c.video_id, true, 'comment'
+ *         from comments c
+ *         where c.created_at >= window_start
+ *     )
+ *     select v.id, v.category, v.created_at,
+ *            count(*) filter (where a.kind = 'view' and a.recent),
+ *            count(*) filter (where a.kind = 'view' and not a.recent),
+ *            count(*) filter (where a.kind = 'like'),
+ *            count(*) filter (where a.kind = 'comment')
+ *     from activity a
+ *     join videos v on v.id = a.video_id
+ *     where v.privacy = 'public'
+ *     group by v.id
+ *     order by v.id;
+ *   $$;
+ */
+
+export const ALL_CATEGORIES = 'all';
+
+const WINDOW_HOURS = 48;
+const GRAVITY = 1.5;
+const LIKE_WEIGHT = 3;
+const COMMENT_WEIGHT = 5;
+const RANKING_SIZE = 200; // per category
+const FETCH_PAGE_SIZE = 1000; // PostgREST's default row cap
+
+/**
+ * Trending score for one video
+ * @param {object} activity - views24h, views48h (24-48h ago), likes, comments
+ * @param {number} ageHours - hours since upload
+ * @returns {number}
+ */
+export function trendingScore({ views24h, views48h, likes, comments }, ageHours) {
+  const activity = views24h + 0.5 * views48h + LIKE_WEIGHT * likes + COMMENT_WEIGHT * comments;
+  return activity / Math.pow(Math.max(0, ageHours) + 2, GRAVITY);
+}
+
+/**
+ * Score every public video with activity in the window and store a new ranking batch
+ * @returns {Promise<{ computed_at: string, videos: number, categories: number }>}
+ */
+export async function computeTrending() {
+  const now = Date.now();
+  const computedAt = new Date(now).toISOString();
+  const windowStart = new Date(now - WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+  const dayStart = new Date(now - 24 * 60 * 60 * 1000).toISOString();
+
+  // Only public videos can trend; the RPC leaves the rest out
+  const videos = await fetchAll(() => supabase
+    .rpc('trending_activity', { window_start: windowStart, day_start: dayStart }));
+
+  const scored = videos
+    .map(video => ({
+      video_id: video.video_id,
+      category: video.category || 'other',
+      score: trendingScore({
+        views24h: Number(video.views_24h) || 0,
+        views48h: Number(video.views_48h) || 0,
+        likes: Number(video.likes) || 0,
+        comments: Number(video.comments) || 0
+      }, (now - new Date(video.created_at).getTime()) / 3600000)
+    }))
+    .filter(video => video.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  const byCategory = new Map([[ALL_CATEGORIES, scored]]);
+  scored.forEach(video => {
+    if (!byCategory.has(video.category)) byCategory.set(video.category, []);
+    byCategory.get(video.category).push(video);
+  });
+
+  const rows = [];
+  byCategory.forEach((list, category) => {
+    list.slice(0, RANKING_SIZE).forEach((video, index) => {
+      rows.push({
+        category,
+        video_id: video.video_id,
+        rank: index + 1,
+        score: video.score,
+        computed_at: computedAt
+      });
+    });
+  });
+
+  for (let i = 0; i < rows.length; i += FETCH_PAGE_SIZE) {
+    const { error } = await supabase
+      .from('trending_rankings')
+      .insert(rows.slice(i, i + FETCH_PAGE_SIZE));
+    if (error) throw new Error(`Failed to store trending ranking: ${error.message}`);
+  }
+
+  const run = { computed_at: computedAt, videos: scored.length, categories: byCategory.size };
+  const { error: runError } = await supabase
+    .from('trending_runs')
+    .insert(run);
+  if (runError) throw new Error(`Failed to publish trending ranking: ${runError.message}`);
+
+  // Readers have switched to the new batch; drop the old ones
+  await supabase
+    .from('trending_rankings')
+    .delete()
+    .lt('computed_at', computedAt);
+  await supabase
+    .from('trending_runs')
+    .delete()
+    .lt('computed_at', computedAt);
+
+  return run;
+}
+
+/**
+ * One page of the latest ranking for a category
+ * @param {string} category - a category or ALL_CATEGORIES
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ entries: Array<object>|null, error: object|null }>} entries is null when no ranking exists yet
+ */
+export async function getTrendingPage(category, offset, limit) {
+  const { data: latest, error: latestError } = await supabase
+    .from('trending_runs')
+    .select('computed_at')
+    .order('computed_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) return { entries: null, error: latestError };
+  if (!latest) return { entries: null, error: null };
+
+  const { data, error } = await supabase
+    .from('trending_rankings')
+    .select('video_id, rank, score')
+    .eq('computed_at', latest.computed_at)
+    .eq('category', category || ALL_CATEGORIES)
+    .order('rank', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  return { entries: data || [], error };
+}
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += FETCH_PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + FETCH_PAGE_SIZE - 1);
+    if (error) throw new Error(error.message);
+    rows.push(...data);
+    if (data.length < FETCH_PAGE_SIZE) return rows;
+  }
+}
@@ -1,6 +1,6 @@
 // pages/api/update-profile.js
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { requireUser } from './session.js';
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -13,31 +13,13 @@ export const config = {
   },
 };
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   if (req.method !== 'POST') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
   try {
-    // Verify session
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'];
-
-    if (!sessionToken) {
-      return res.status(401).json({ error: 'Not authenticated' });
-    }
-
-    const { data: session } = await supabase
-      .from('sessions')
-      .select('user_id, expires_at')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
-
-    if (!session || new Date(session.expires_at) < new Date()) {
-      return res.status(401).json({ error: 'Session expired or invalid' });
-    }
-
-    const userId = session.user_id;
+    const userId = req.user.id;
 
     // Parse multipart form data for avatar upload
     const Busboy = require('busboy');
@@ -161,3 +143,5 @@ export default async function handler(req, res) {
     return res.status(500).json({ error: 'Internal server error' });
   }
 }
+
+export default requireUser(handler);
@@ -1,6 +1,9 @@
 // pages/api/upload-video.js - FIXED VERSION
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { requireUser } from './session.js';
+import { createVideoRecord, validateVideoFields } from './videoStore.js';
+import { processStoredVideo } from './videoProcessing.js';
+import { removeThumbnails } from './thumbnails.js';
 import { v4 as uuidv4 } from 'uuid';
 
 const supabase = createClient(
@@ -8,9 +11,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
-
-export default async function handler(req, res) {
+async function handler(req, res) {
   console.log('=== UPLOAD VIDEO API CALLED ===');
   
   // Set CORS headers
@@ -30,45 +31,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    // Verify session
-    const cookies = cookie.parse(req.headers.cookie || '');
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
-
-    if (!sessionToken) {
-      console.error('❌ No session token found');
-      return res.status(401).json({ success: false, error: 'Not authenticated' });
-    }
-
-    // Get session
-    const { data: session, error: sessionError } = await supabase
-      .from('sessions')
-      .select('user_email, expires_at')
-      .eq('session_token', sessionToken)
-      .maybeSingle();
-
-    if (sessionError || !session) {
-      console.error('❌ Session error:', sessionError);
-      return res.status(401).json({ success: false, error: 'Session expired or invalid' });
-    }
-
-    if (new Date(session.expires_at) < new Date()) {
-      console.error('❌ Session expired');
-      await supabase.from('sessions').delete().eq('session_token', sessionToken);
-      return res.status(401).json({ success: false, error: 'Session expired' });
-    }
-
-    // Get user
-    const { data: user, error: userError } = await supabase
-      .from('users')
-      .select('id, email, username, video_count')
-      .eq('email', session.user_email)
-      .maybeSingle();
-
-    if (userError || !user) {
-      console.error('❌ User error:', userError);
-      return res.status(401).json({ success: false, error: 'User not found' });
-    }
-
+    const user = req.user;
     console.log('✅ User authenticated:', user.email, 'ID:', user.id);
     const userId = user.id;
     
@@ -83,8 +46,9 @@ export default async function handler(req, res) {
         return res.status(400).json({ success: false, error: 'No video file provided' });
       }
       
-      if (!formData.title || formData.title.trim().length < 3) {
-        return res.status(400).json({ success: false, error: 'Title must be at least 3 characters' });
+      const fieldError = validateVideoFields(formData);
+      if (fieldError) {
+        return res.status(400).json({ success: false, error: fieldError });
       }
       
       // Generate unique ID
@@ -105,14 +69,25 @@ export default async function handler(req, res) {
         return res.status(500).json({ success: false, error: 'Failed to upload video' });
       }
       
-      // Get video URL
-      const { data: videoUrlData } = supabase.storage
-        .from('videos')
-        .getPublicUrl(videoName);
+      // Probe the stored file for real metadata, reject mislabelled uploads and
+      // generate thumbnails (plus a cover frame when none was uploaded)
+      const hasCover = !!(formData.cover && formData.cover.buffer);
+      const { metadata, thumbnails, error: probeError } = await processStoredVideo({
+        objectName: videoName,
+        mimeType: formData.video.mimeType,
+        userId,
+        videoId,
+        withCover: !hasCover
+      });
+      
+      if (probeError) {
+        await supabase.storage.from('videos').remove([videoName]);
+        return res.status(415).json({ success: false, error: probeError });
+      }
       
-      let coverUrl = null;
+      let coverUrl = thumbnails.cover_url;
       // Handle cover image if provided
-      if (formData.cover && formData.cover.buffer) {
+      if (hasCover) {
         const coverExt = formData.cover.filename.split('.').pop().toLowerCase();
         const coverName = `${userId}/${videoId}.${coverExt}`;
         
@@ -132,62 +107,35 @@ export default async function handler(req, res) {
       }
       
       // Create video record
-      const videoData = {
-        id: videoId,
-        user_id: userId,
-        title: formData.title.trim(),
-        description: formData.description?.trim() || null,
-        video_url: videoUrlData.publicUrl,
-        cover_url: coverUrl,
-        mime_type: formData.video.mimeType,
+      const { video, error: dbError } = await createVideoRecord({
+        user,
+        videoId,
+        objectName: videoName,
+        mimeType: formData.video.mimeType,
         size: formData.video.buffer.length,
-        original_filename: formData.video.filename,
-        tags: formData.tags ? formData.tags.split(',').map(tag => tag.trim()).filter(tag => tag) : [],
-        category: formData.category || 'other',
-        privacy: formData.privacy || 'public',
-        ai_generated: formData.aiGenerated === 'true',
-        created_at: new Date().toISOString(),
-        uploaded_at: new Date().toISOString()
-      };
-      
-      const { data: video, error: dbError } = await supabase
-        .from('videos')
-        .insert(videoData)
-        .select()
-        .single();
+        filename: formData.video.filename,
+        coverUrl,
+        metadata,
+        thumbnails,
+        fields: formData
+      });
       
       if (dbError) {
-        console.error('❌ Database insert failed:', dbError);
         // Clean up uploaded files
         await supabase.storage.from('videos').remove([videoName]);
-        if (coverUrl) {
+        await removeThumbnails(userId, videoId);
+        if (hasCover && coverUrl) {
           const coverName = `${userId}/${videoId}.${formData.cover.filename.split('.').pop().toLowerCase()}`;
           await supabase.storage.from('covers').remove([coverName]);
         }
         return res.status(500).json({ success: false, error: 'Failed to save video metadata' });
       }
       
-      // Update user's video count
-      await supabase
-        .from('users')
-        .update({ 
-          video_count: (user.video_count || 0) + 1,
-          last_upload: new Date().toISOString()
-        })
-        .eq('id', userId);
-      
       console.log('✅ Upload completed successfully!');
       return res.status(200).json({
         success: true,
         message: 'Video uploaded successfully',
-        video: {
-          ...video,
-          user: {
-            id: user.id,
-            username: user.username,
-            email: user.email
-          }
-        }
+        video
       });
       
     } else {
@@ -208,6 +156,8 @@ export default async function handler(req, res) {
   }
 }
 
+export default requireUser(handler);
+
 // Helper function to parse multipart form data
 async function parseMultipartFormData(req) {
   return new Promise((resolve, reject) => {
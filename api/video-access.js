@@ -0,0 +1,164 @@
+// pages/api/video-access.js - allowlist for private videos
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const MAX_ALLOWLIST_SIZE = 100;
+
+/*
+ * GET    /api/video-access?videoId=              -> { users: [{ id, username, avatar_url, granted_at }] }
+ * POST   /api/video-access   { videoId, username }  let a user watch the video
+ * DELETE /api/video-access?videoId=&userId=       take it back
+ *
+ * Owner only. The allowlist only matters while the video is private; see
+ * videoAccess.js for how it is checked.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const videoId = req.method === 'POST' ? req.body?.videoId : req.query.videoId;
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'Video ID required' });
+    }
+
+    const { data: video } = await supabase
+      .from('videos')
+      .select('id, user_id')
+      .eq('id', videoId)
+      .maybeSingle();
+
+    if (!video || video.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    if (req.method === 'GET') {
+      return await listAccess(res, video.id);
+    }
+    if (req.method === 'POST') {
+      return await grantAccess(req, res, video.id);
+    }
+    return await revokeAccess(req, res, video.id);
+  } catch (err) {
+    console.error('💥 Video access API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function listAccess(res, videoId) {
+  const { data: rows, error } = await supabase
+    .from('video_access')
+    .select('granted_at, users ( id, username, avatar_url, profile_picture )')
+    .eq('video_id', videoId)
+    .order('granted_at', { ascending: true });
+
+  if (error) {
+    console.error('❌ Video access fetch error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to load access list' });
+  }
+
+  return res.status(200).json({
+    success: true,
+    users: rows.map(row => ({
+      id: row.users?.id,
+      username: row.users?.username || 'User',
+      avatar_url: row.users?.avatar_url || row.users?.profile_picture || null,
+      granted_at: row.granted_at
+    }))
+  });
+}
+
+async function grantAccess(req, res, videoId) {
+  const username = (req.body?.username || '').trim();
+  if (!username) {
+    return res.status(400).json({ success: false, error: 'Username required' });
+  }
+
+  const { data: grantee } = await supabase
+    .from('users')
+    .select('id, username, avatar_url, profile_picture')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (!grantee) {
+    return res.status(404).json({ success: false, error: 'User not found' });
+  }
+  if (grantee.id === req.user.id) {
+    return res.status(400).json({ success: false, error: 'You can always watch your own videos' });
+  }
+
+  const { count } = await supabase
+    .from('video_access')
+    .select('*', { count: 'exact', head: true })
+    .eq('video_id', videoId);
+
+  if ((count || 0) >= MAX_ALLOWLIST_SIZE) {
+    return res.status(400).json({ success: false, error: `A video can be shared with at most ${MAX_ALLOWLIST_SIZE} users` });
+  }
+
+  const grantedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('video_access')
+    .upsert(
+      { video_id: videoId, user_id: grantee.id, granted_at: grantedAt },
+      { onConflict: 'video_id,user_id', ignoreDuplicates: true }
+    );
+
+  if (error) {
+    console.error('❌ Video access insert error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to share video' });
+  }
+
+  console.log(`🔑 Video ${videoId} shared with ${grantee.id}`);
+  return res.status(200).json({
+    success: true,
+    user: {
+      id: grantee.id,
+      username: grantee.username,
+      avatar_url: grantee.avatar_url || grantee.profile_picture || null,
+      granted_at: grantedAt
+    }
+  });
+}
+
+async function revokeAccess(req, res, videoId) {
+  const { userId } = req.query;
+  if (!userId) {
+    return res.status(400).json({ success: false, error: 'User ID required' });
+  }
+
+  const { error } = await supabase
+    .from('video_access')
+    .delete()
+    .eq('video_id', videoId)
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('❌ Video access delete error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to remove access' });
+  }
+
+  console.log(`🔒 Video ${videoId} no longer shared with ${userId}`);
+  return res.status(200).json({ success: true });
+}
@@ -0,0 +1,100 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * videos.privacy:
+ *   public    listed everywhere
+ *   unlisted  anyone with the link; left out of listings, search, trending and recommendations
+ *   private   the owner and the users on the video's allowlist only
+ *
+ * video_access: video_id, user_id, granted_at
+ *   create table video_access (
+ *     video_id uuid not null references videos (id) on delete cascade,
+ *     user_id uuid not null references users (id) on delete cascade,
+ *     granted_at timestamptz not null default now(),
+ *     primary key (video_id, user_id)
+ *   );
+ *
+ * Videos hidden by moderators (hidden_at, see moderationStore.js) are stored as
+ * private and left to their owner alone, allowlist or not.
+ *
+ * Someone who may not see a video gets the same 404 as for a missing one, so
+ * private video ids cannot be probed.
+ */
+
+export const VIDEO_PRIVACY = ['public', 'unlisted', 'private'];
+
+/**
+ * Whether `user` (null for guests) may watch a video
+ * @param {object} video - needs id, user_id, privacy, hidden_at
+ * @param {object|null} user
+ * @returns {Promise<boolean>}
+ */
+export async function canViewVideo(video, user) {
+  if (!video) return false;
+  if (video.privacy !== 'private') return true;
+  if (!user) return false;
+  if (video.user_id === user.id) return true;
+  if (video.hidden_at) return false;
+
+  const { data } = await supabase
+    .from('video_access')
+    .select('video_id')
+    .eq('video_id', video.id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  return !!data;
+}
+
+/**
+ * Fetch a video if `user` may watch it
+ * @param {string} videoId
+ * @param {object|null} user
+ * @param {string} [columns] - extra columns to select besides id, user_id, privacy and hidden_at
+ * @returns {Promise<object|null>} the videos row, or null when missing or not viewable
+ */
+export async function getViewableVideo(videoId, user, columns = '') {
+  if (!videoId) return null;
+
+  const { data: video } = await supabase
+    .from('videos')
+    .select(['id, user_id, privacy, hidden_at', columns].filter(Boolean).join(', '))
+    .eq('id', videoId)
+    .maybeSingle();
+
+  return await canViewVideo(video, user) ? video : null;
+}
+
+/**
+ * Drop the videos `user` may not watch, with at most one allowlist query
+ * @param {Array<object>} videos - each needs id, user_id, privacy, hidden_at
+ * @param {object|null} user
+ * @returns {Promise<Array<object>>}
+ */
+export async function filterViewable(videos, user) {
+  const restricted = videos
+    .filter(video => video.privacy === 'private' && video.user_id !== user?.id)
+    .map(video => video.id);
+
+  if (restricted.length === 0) return videos;
+
+  const hidden = new Set(videos.filter(video => video.hidden_at).map(video => video.id));
+  const shareable = restricted.filter(id => !hidden.has(id));
+
+  let granted = new Set();
+  if (user && shareable.length > 0) {
+    const { data } = await supabase
+      .from('video_access')
+      .select('video_id')
+      .eq('user_id', user.id)
+      .in('video_id', shareable);
+    granted = new Set((data || []).map(row => row.video_id));
+  }
+
+  return videos.filter(video => !restricted.includes(video.id) || granted.has(video.id));
+}
@@ -0,0 +1,132 @@
+import { createClient } from '@supabase/supabase-js';
+import ffprobe from 'ffprobe-static';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const execFileAsync = promisify(execFile);
+
+const PROBE_TIMEOUT_MS = 60 * 1000;
+
+// ffprobe `format_name` entries accepted for each upload MIME type
+const CONTAINERS_BY_MIME_TYPE = {
+  'video/mp4': ['mp4', 'mov'],
+  'video/x-m4v': ['mp4', 'mov'],
+  'video/quicktime': ['mov', 'mp4'],
+  'video/3gpp': ['3gp', 'mp4', 'mov'],
+  'video/webm': ['webm', 'matroska'],
+  'video/x-matroska': ['matroska', 'webm'],
+  'video/x-msvideo': ['avi'],
+  'video/avi': ['avi'],
+  'video/mp2t': ['mpegts'],
+  'video/ogg': ['ogg'],
+  'video/x-flv': ['flv']
+};
+
+/**
+ * Signed URL of an object in the private `videos` bucket, for ffmpeg and
+ * ffprobe to read it on the server
+ * @param {string} objectName
+ * @param {number} expiresIn - seconds
+ * @returns {Promise<string>}
+ */
+export async function signVideoObject(objectName, expiresIn = 10 * 60) {
+  const { data: signed, error: signError } = await supabase.storage
+    .from('videos')
+    .createSignedUrl(objectName, expiresIn);
+
+  if (signError) {
+    throw new Error(`Could not sign ${objectName}: ${signError.message}`);
+  }
+  return signed.signedUrl;
+}
+
+/**
+ * Run ffprobe on a local file or URL and normalise the interesting fields.
+ * The input is passed as its own argument, without a shell, so signed URLs
+ * with `&` in the query string reach ffprobe unchanged.
+ * @param {string} input
+ * @returns {Promise<object>} container, duration, width, height, video_codec,
+ *   audio_codec, bitrate, frame_rate
+ */
+export async function probeVideo(input) {
+  const { stdout } = await execFileAsync(ffprobe.path, [
+    '-v', 'error',
+    '-print_format', 'json',
+    '-show_format',
+    '-show_streams',
+    input
+  ], { timeout: PROBE_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 });
+
+  const info = JSON.parse(stdout);
+  const format = info.format || {};
+  const streams = info.streams || [];
+  const videoStream = streams.find(stream => stream.codec_type === 'video');
+  const audioStream = streams.find(stream => stream.codec_type === 'audio');
+
+  return {
+    container: format.format_name || null,
+    duration: toNumber(format.duration ?? videoStream?.duration),
+    width: videoStream?.width || null,
+    height: videoStream?.height || null,
+    video_codec: videoStream?.codec_name || null,
+    audio_codec: audioStream?.codec_name || null,
+    bitrate: toInteger(format.bit_rate ?? videoStream?.bit_rate),
+    frame_rate: parseFrameRate(videoStream?.avg_frame_rate) ?? parseFrameRate(videoStream?.r_frame_rate)
+  };
+}
+
+/**
+ * Check that ffprobe's container name agrees with the MIME type the client sent
+ * @param {string|null} container - ffprobe `format_name`, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+export function containerMatchesMimeType(container, mimeType) {
+  const accepted = CONTAINERS_BY_MIME_TYPE[(mimeType || '').toLowerCase()];
+  if (!accepted || !container) return false;
+
+  const formats = container.split(',');
+  return accepted.some(name => formats.includes(name));
+}
+
+/**
+ * Check probe results against the MIME type the client declared
+ * @param {object} metadata - result of `probeVideo`
+ * @param {string} mimeType
+ * @returns {string|null} error message, or null when the file is acceptable
+ */
+export function validateProbe(metadata, mimeType) {
+  if (!metadata.video_codec) {
+    return 'File does not contain a video stream';
+  }
+
+  if (!containerMatchesMimeType(metadata.container, mimeType)) {
+    console.error('❌ Container mismatch:', metadata.container, 'vs', mimeType);
+    return `File content (${metadata.container}) does not match type ${mimeType}`;
+  }
+
+  return null;
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? Math.round(number * 100) / 100 : null;
+}
+
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+// "30000/1001" -> 29.97
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [num, den] = value.split('/').map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 100) / 100;
+}
@@ -0,0 +1,82 @@
+import { signVideoObject, probeVideo, validateProbe } from './videoProbe.js';
+import { createThumbnails } from './thumbnails.js';
+
+/*
+ * ffprobe and ffmpeg read stored uploads straight from a signed URL, so
+ * probing only fetches the container headers and nothing is copied to /tmp.
+ * Probing and thumbnails are separate steps so resumable uploads can run them
+ * in separate requests and keep each result (see resumable-upload.js).
+ */
+
+/**
+ * Probe a stored upload for real metadata and reject mislabelled files
+ * @param {object} params
+ * @param {string} params.objectName - path in the `videos` bucket
+ * @param {string} params.mimeType - MIME type the client declared
+ * @returns {Promise<{ metadata: object|null, error: string|null }>}
+ */
+export async function probeStoredVideo({ objectName, mimeType }) {
+  try {
+    const metadata = await probeVideo(await signVideoObject(objectName));
+    const error = validateProbe(metadata, mimeType);
+    if (error) {
+      return { metadata: null, error };
+    }
+
+    console.log('🎞️ Probed video:', objectName, metadata);
+    return { metadata, error: null };
+  } catch (err) {
+    console.error('❌ Video probe failed:', err.message);
+    return { metadata: null, error: 'Could not read video file' };
+  }
+}
+
+/**
+ * Generate the thumbnails of a stored upload; like `createThumbnails` this
+ * never fails, missing pieces are left null
+ * @param {object} params
+ * @param {string} params.objectName - path in the `videos` bucket
+ * @param {string} params.userId
+ * @param {string} params.videoId
+ * @param {number|null} params.duration - seconds, from `probeStoredVideo`
+ * @param {boolean} params.withCover - extract a cover frame (no cover was uploaded)
+ * @returns {Promise<{ cover_url: string|null, sprite_url: string|null, thumbnails_vtt_url: string|null }>}
+ */
+export async function thumbnailStoredVideo({ objectName, userId, videoId, duration, withCover }) {
+  try {
+    const input = await signVideoObject(objectName);
+    return await createThumbnails({ input, userId, videoId, duration, withCover });
+  } catch (err) {
+    console.error('⚠️ Thumbnail generation failed:', err.message);
+    return { cover_url: null, sprite_url: null, thumbnails_vtt_url: null };
+  }
+}
+
+/**
+ * Probe a stored upload and, when it is acceptable, generate its thumbnails.
+ * For uploads small enough to do both in one request.
+ *
+ * @param {object} params
+ * @param {string} params.objectName - path in the `videos` bucket
+ * @param {string} params.mimeType - MIME type the client declared
+ * @param {string} params.userId
+ * @param {string} params.videoId
+ * @param {boolean} params.withCover - extract a cover frame (no cover was uploaded)
+ * @returns {Promise<{ metadata: object|null, thumbnails: object|null, error: string|null }>}
+ */
+export async function processStoredVideo({ objectName, mimeType, userId, videoId, withCover }) {
+  const { metadata, error } = await probeStoredVideo({ objectName, mimeType });
+  if (error) {
+    return { metadata: null, thumbnails: null, error };
+  }
+
+  const thumbnails = await thumbnailStoredVideo({
+    objectName,
+    userId,
+    videoId,
+    duration: metadata.duration,
+    withCover
+  });
+
+  return { metadata, thumbnails, error: null };
+}
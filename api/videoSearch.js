@@ -0,0 +1,217 @@
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * Search runs in Postgres so matching and ranking happen next to the data.
+ * Titles weigh most, then tags and the creator's name, then descriptions:
+ *
+ *   create or replace function video_search_document(title text, tags text[], description text)
+ *   returns tsvector language sql immutable as $$
+ *     select setweight(to_tsvector('simple', coalesce(title, '')), 'A')
+ *         || setweight(to_tsvector('simple', coalesce(array_to_string(tags, ' '), '')), 'B')
+ *         || setweight(to_tsvector('simple', coalesce(description, '')), 'C');
+ *   $$;
+ *
+ *   alter table videos add column search_vector tsvector
+ *     generated always as (video_search_document(title, tags, description)) stored;
+ *   create index videos_search_vector_idx on videos using gin (search_vector);
+ *
+ *   create or replace function search_videos(
+ *     query_text text,
+ *     sort_by text default 'relevance',
+ *     filter_category text default null,
+ *     min_duration integer default null,
+ *     max_duration integer default null,
+ *     uploaded_after timestamptz default null,
+ *     filter_ai_generated boolean default null,
+ *     result_offset integer default 0,
+ *     result_limit integer default 12
+ *   ) returns table (id uuid, rank real)
+ *   language sql stable as $$
+ *     select v.id, ts_rank(doc.vector, q) as rank
+ *     from videos v
+ *     join users u on u.id = v.user_id
+ *     cross join lateral (
+ *       select v.search_vector || setweight(to_tsvector('simple', coalesce(u.username, '')), 'B') as vector
+ *     ) doc
+ *     cross join to_tsquery('simple', query_text) q
+ *     where v.privacy = 'public'
+ *       and doc.vector @@ q
+ *       and (filter_category is null or v.category = filter_category)
+ *       and (min_duration is null or v.duration >= min_duration)
+ *       and (max_duration is null or v.duration < max_duration)
+ *       and (uploaded_after is null or v.created_at >= uploaded_after)
+ *       and (filter_ai_generated is null or v.ai_generated = filter_ai_generated)
+ *     order by
+ *       case when sort_by = 'newest' then v.created_at end desc nulls last,
+ *       case when sort_by = 'popular' then v.views end desc nulls last,
+ *       rank desc, v.created_at desc, v.id
+ *     offset result_offset limit result_limit;
+ *   $$;
+ *
+ *   create or replace function search_suggestions(prefix text, max_results integer default 8)
+ *   returns table (suggestion text, kind text)
+ *   language sql stable as $$
+ *     (select distinct on (lower(title)) title, 'video'
+ *        from videos
+ *        where privacy = 'public' and lower(title) like lower(prefix) || '%'
+ *        order by lower(title), views desc
+ *        limit max_results)
+ *     union all
+ *     (select distinct lower(tag), 'tag'
+ *        from videos, unnest(tags) tag
+ *        where privacy = 'public' and lower(tag) like lower(prefix) || '%'
+ *        limit max_results)
+ *     union all
+ *     (select username, 'creator'
+ *        from users
+ *        where lower(username) like lower(prefix) || '%'
+ *        limit max_results);
+ *   $$;
+ *
+ * User input never reaches SQL as syntax: queries are reduced to letters and
+ * digits before the tsquery is built, and suggestion prefixes cannot contain
+ * LIKE wildcards.
+ */
+
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+const MAX_SUGGESTIONS = 8;
+
+export const SEARCH_SORTS = ['relevance', 'newest', 'popular'];
+
+// Duration buckets in seconds: [min, max)
+export const DURATION_BUCKETS = {
+  short: [null, 4 * 60],
+  medium: [4 * 60, 20 * 60],
+  long: [20 * 60, null]
+};
+
+// Upload date filters as a look-back in milliseconds
+export const UPLOAD_WINDOWS = {
+  hour: 60 * 60 * 1000,
+  today: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Split a raw query into safe search terms (letters and digits only)
+ * @param {string} query
+ * @returns {string[]}
+ */
+export function tokenizeQuery(query) {
+  return String(query || '')
+    .slice(0, MAX_QUERY_LENGTH)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term)
+    .slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Build the tsquery for a set of terms; the last term matches as a prefix so
+ * results keep up while the viewer is still typing
+ * @param {string[]} terms
+ * @returns {string}
+ */
+export function buildTsQuery(terms) {
+  return terms
+    .map((term, index) => index === terms.length - 1 ? `${term}:*` : term)
+    .join(' & ');
+}
+
+/**
+ * Validate search filters from query params
+ * @param {object} params - duration, uploaded, category, aiGenerated, sort
+ * @returns {{ filters: object|null, error: string|null }}
+ */
+export function parseSearchFilters({ duration, uploaded, category, aiGenerated, sort }) {
+  if (duration && !DURATION_BUCKETS[duration]) {
+    return { filters: null, error: `duration must be one of: ${Object.keys(DURATION_BUCKETS).join(', ')}` };
+  }
+  if (uploaded && !UPLOAD_WINDOWS[uploaded]) {
+    return { filters: null, error: `uploaded must be one of: ${Object.keys(UPLOAD_WINDOWS).join(', ')}` };
+  }
+  if (aiGenerated && aiGenerated !== 'true' && aiGenerated !== 'false') {
+    return { filters: null, error: 'aiGenerated must be true or false' };
+  }
+
+  const [minDuration, maxDuration] = duration ? DURATION_BUCKETS[duration] : [null, null];
+  return {
+    filters: {
+      sort: SEARCH_SORTS.includes(sort) ? sort : 'relevance',
+      category: category && category !== 'all' ? category : null,
+      minDuration,
+      maxDuration,
+      uploadedAfter: uploaded ? new Date(Date.now() - UPLOAD_WINDOWS[uploaded]).toISOString() : null,
+      aiGenerated: aiGenerated ? aiGenerated === 'true' : null
+    },
+    error: null
+  };
+}
+
+/**
+ * One page of ranked search results
+ * @param {string} query - raw search text
+ * @param {object} filters - from parseSearchFilters
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Promise<{ entries: Array<{ id: string, rank: number }>, error: object|null }>}
+ */
+export async function searchVideos(query, filters, offset, limit) {
+  const terms = tokenizeQuery(query);
+  if (terms.length === 0) return { entries: [], error: null };
+
+  const { data, error } = await supabase.rpc('search_videos', {
+    query_text: buildTsQuery(terms),
+    sort_by: filters.sort,
+    filter_category: filters.category,
+    min_duration: filters.minDuration,
+    max_duration: filters.maxDuration,
+    uploaded_after: filters.uploadedAfter,
+    filter_ai_generated: filters.aiGenerated,
+    result_offset: offset,
+    result_limit: limit
+  });
+
+  return { entries: data || [], error };
+}
+
+/**
+ * Autocomplete suggestions for a prefix: video titles, tags and creator names
+ * @param {string} prefix
+ * @returns {Promise<{ suggestions: Array<{ text: string, kind: string }>, error: object|null }>}
+ */
+export async function getSuggestions(prefix) {
+  const cleaned = String(prefix || '')
+    .slice(0, MAX_QUERY_LENGTH)
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trimStart();
+  if (cleaned.trim().length === 0) return { suggestions: [], error: null };
+
+  const { data, error } = await supabase.rpc('search_suggestions', {
+    prefix: cleaned,
+    max_results: MAX_SUGGESTIONS
+  });
+  if (error) return { suggestions: [], error };
+
+  const seen = new Set();
+  const suggestions = (data || [])
+    .filter(row => {
+      const key = row.suggestion.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_SUGGESTIONS)
+    .map(row => ({ text: row.suggestion, kind: row.kind }));
+
+  return { suggestions, error: null };
+}
@@ -0,0 +1,390 @@
+import { createClient } from '@supabase/supabase-js';
+import { queueUploadNotifications } from './subscriptionStore.js';
+import { VIDEO_PRIVACY } from './videoAccess.js';
+import { storagePath } from './mediaUrls.js';
+import { removeHls } from './transcode.js';
+import { removeThumbnails } from './thumbnails.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+export const MAX_FILE_SIZE = 500 * 1024 * 1024; // 500MB
+
+/*
+ * Drafts and scheduled uploads:
+ *   alter table videos
+ *     add column publish_state text not null default 'published',  -- draft | scheduled | published
+ *     add column publish_at timestamptz,
+ *     add column publish_privacy text,
+ *     add column published_at timestamptz;
+ *   create index videos_scheduled_idx on videos (publish_at) where publish_state = 'scheduled';
+ *
+ * Until it is published a video is stored as private, so every listing, the
+ * search index and the access checks in videoAccess.js keep it to its owner
+ * (your-videos) without knowing about drafts. The privacy chosen at upload
+ * waits in publish_privacy; /api/publish-scheduled applies it at publish_at
+ * and queues the subscriber notifications then.
+ */
+
+// The categories offered by the upload form; anything else is rejected
+export const VIDEO_CATEGORIES = ['entertainment', 'music', 'gaming', 'education', 'sports', 'tech', 'other'];
+
+const MIN_TITLE_LENGTH = 3;
+const MAX_TITLE_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 30;
+const MAX_SCHEDULE_DAYS = 365;
+const PUBLISH_BATCH_SIZE = 50;
+
+const DELETE_BATCH_SIZE = 1000;
+
+/**
+ * Validate the user-editable fields sent with an upload or an edit
+ * @param {object} fields - title, description, tags, category, privacy, aiGenerated, draft, publishAt
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - edits: fields that are missing are left alone
+ * @returns {string|null} error message, or null when valid
+ */
+export function validateVideoFields(fields, { partial = false } = {}) {
+  if (!partial || fields.title !== undefined) {
+    const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+    if (title.length < MIN_TITLE_LENGTH || title.length > MAX_TITLE_LENGTH) {
+      return `Title must be ${MIN_TITLE_LENGTH}-${MAX_TITLE_LENGTH} characters`;
+    }
+  }
+  if (fields.description !== undefined && fields.description !== null) {
+    if (typeof fields.description !== 'string') {
+      return 'Description must be text';
+    }
+    if (fields.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      return `Description is limited to ${MAX_DESCRIPTION_LENGTH} characters`;
+    }
+  }
+  if (fields.tags !== undefined && fields.tags !== null) {
+    const tags = parseTags(fields.tags);
+    if (tags.length > MAX_TAGS) {
+      return `Videos can have at most ${MAX_TAGS} tags`;
+    }
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      return `Tags are limited to ${MAX_TAG_LENGTH} characters each`;
+    }
+  }
+  // An empty category means none was picked and is stored as 'other'
+  if (fields.category && !VIDEO_CATEGORIES.includes(String(fields.category).trim())) {
+    return `Category must be one of ${VIDEO_CATEGORIES.join(', ')}`;
+  }
+  if (fields.privacy && !VIDEO_PRIVACY.includes(fields.privacy)) {
+    return 'Privacy must be public, unlisted or private';
+  }
+  if (fields.publishAt) {
+    const publishAt = new Date(fields.publishAt).getTime();
+    if (Number.isNaN(publishAt)) {
+      return 'publishAt must be a date and time';
+    }
+    if (publishAt <= Date.now()) {
+      return 'Scheduled time must be in the future';
+    }
+    if (publishAt > Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+      return `Videos can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`;
+    }
+    if (isDraft(fields)) {
+      return 'A video is either a draft or scheduled, not both';
+    }
+  }
+  return null;
+}
+
+/**
+ * Tags as sent by the upload form ("a, b, c") or as an array
+ * @param {string|Array<string>|null} tags
+ * @returns {Array<string>}
+ */
+export function parseTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return list.map(tag => String(tag).trim()).filter(tag => tag);
+}
+
+/**
+ * Insert the `videos` row for a file already stored in the `videos` bucket,
+ * recount the owner's `video_count`, make a plain user a creator and, for
+ * videos published right away as public, queue the subscriber notifications.
+ *
+ * @param {object} params
+ * @param {object} params.user - uploader (needs id, email, username)
+ * @param {string} params.videoId
+ * @param {string} params.objectName - path of the video in the `videos` bucket
+ * @param {string} params.mimeType
+ * @param {number} params.size
+ * @param {string} params.filename - original filename
+ * @param {string|null} [params.coverUrl]
+ * @param {object} [params.metadata] - probe result from `processStoredVideo`
+ * @param {object} [params.thumbnails] - sprite_url / thumbnails_vtt_url from `processStoredVideo`
+ * @param {object} params.fields - title, description, tags, category, privacy, aiGenerated, draft, publishAt
+ * @returns {Promise<{ video: object|null, error: object|null }>}
+ */
+export async function createVideoRecord({ user, videoId, objectName, mimeType, size, filename, coverUrl = null, metadata = {}, thumbnails = {}, fields }) {
+  const { data: videoUrlData } = supabase.storage
+    .from('videos')
+    .getPublicUrl(objectName);
+
+  const privacy = fields.privacy || 'public';
+  const publishState = isDraft(fields) ? 'draft' : fields.publishAt ? 'scheduled' : 'published';
+  const now = new Date().toISOString();
+
+  const videoData = {
+    id: videoId,
+    user_id: user.id,
+    title: fields.title.trim(),
+    description: fields.description?.trim() || null,
+    video_url: videoUrlData.publicUrl,
+    storage_path: objectName,
+    cover_url: coverUrl,
+    mime_type: mimeType,
+    size,
+    original_filename: filename,
+    tags: parseTags(fields.tags),
+    category: String(fields.category || '').trim() || 'other',
+    privacy: publishState === 'published' ? privacy : 'private',
+    publish_state: publishState,
+    publish_at: publishState === 'scheduled' ? new Date(fields.publishAt).toISOString() : null,
+    publish_privacy: publishState === 'published' ? null : privacy,
+    published_at: publishState === 'published' ? now : null,
+    ai_generated: fields.aiGenerated === 'true' || fields.aiGenerated === true,
+    container: metadata.container || null,
+    duration: metadata.duration || null,
+    width: metadata.width || null,
+    height: metadata.height || null,
+    video_codec: metadata.video_codec || null,
+    audio_codec: metadata.audio_codec || null,
+    bitrate: metadata.bitrate || null,
+    frame_rate: metadata.frame_rate || null,
+    sprite_url: thumbnails.sprite_url || null,
+    thumbnails_vtt_url: thumbnails.thumbnails_vtt_url || null,
+    processing_state: 'queued', // picked up by /api/process-videos for HLS transcoding
+    created_at: now,
+    uploaded_at: now
+  };
+
+  const { data: video, error: dbError } = await supabase
+    .from('videos')
+    .insert(videoData)
+    .select()
+    .single();
+
+  if (dbError) {
+    console.error('❌ Database insert failed:', dbError);
+    return { video: null, error: dbError };
+  }
+
+  await supabase
+    .from('users')
+    .update({ last_upload: now })
+    .eq('id', user.id);
+  await refreshVideoCount(user.id);
+
+  // First upload: plain users become creators; moderators and admins keep their role
+  await supabase
+    .from('users')
+    .update({ role: 'creator' })
+    .eq('id', user.id)
+    .eq('role', 'user');
+
+  if (video.publish_state === 'published' && video.privacy === 'public') {
+    await queueUploadNotifications(video);
+  }
+
+  return {
+    video: {
+      ...video,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email
+      }
+    },
+    error: null
+  };
+}
+
+/**
+ * Publish every scheduled video whose publish_at has passed: apply the
+ * privacy chosen at upload and queue the subscriber notifications of the
+ * public ones
+ * @returns {Promise<{ published: number }>}
+ */
+export async function publishDueVideos() {
+  const result = { published: 0 };
+
+  const { data: due, error } = await supabase
+    .from('videos')
+    .select('id, publish_privacy, hidden_at')
+    .eq('publish_state', 'scheduled')
+    .lte('publish_at', new Date().toISOString())
+    .order('publish_at', { ascending: true })
+    .limit(PUBLISH_BATCH_SIZE);
+
+  if (error) {
+    console.error('❌ Scheduled videos fetch error:', error);
+    return result;
+  }
+
+  for (const video of due) {
+    const published = await publishVideo(video, 'scheduled');
+    if (!published) continue;
+
+    result.published += 1;
+    if (published.privacy === 'public') {
+      await queueUploadNotifications(published);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Apply the privacy waiting in publish_privacy and mark a video published.
+ * The update only matches while the video is still in `fromState`, so of two
+ * overlapping calls only one publishes (and notifies). A video hidden by
+ * moderators stays private; its privacy moves on to hidden_privacy.
+ * @param {object} video - needs id, publish_privacy, hidden_at
+ * @param {string} fromState - 'draft' or 'scheduled'
+ * @returns {Promise<object|null>} the published row (id, title, user_id, privacy), or null
+ */
+export async function publishVideo(video, fromState) {
+  let query = supabase
+    .from('videos')
+    .update({
+      [video.hidden_at ? 'hidden_privacy' : 'privacy']: video.publish_privacy || 'public',
+      publish_state: 'published',
+      publish_at: null,
+      publish_privacy: null,
+      published_at: new Date().toISOString()
+    })
+    .eq('id', video.id)
+    .eq('publish_state', fromState);
+
+  // Hidden or unhidden in the meantime: no match, and the next call sees the new state
+  query = video.hidden_at ? query.not('hidden_at', 'is', null) : query.is('hidden_at', null);
+
+  const { data: published, error } = await query
+    .select('id, title, user_id, privacy')
+    .maybeSingle();
+
+  if (error) {
+    console.error(`❌ Failed to publish video ${video.id}:`, error);
+    return null;
+  }
+  if (published) {
+    console.log(`📢 Published ${fromState} video ${published.id} as ${published.privacy}`);
+  }
+  return published;
+}
+
+/**
+ * Recount a user's videos into users.video_count
+ * @param {string} userId
+ * @returns {Promise<number>}
+ */
+export async function refreshVideoCount(userId) {
+  const { count } = await supabase
+    .from('videos')
+    .select('*', { count: 'exact', head: true })
+    .eq('user_id', userId);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ video_count: count || 0 })
+    .eq('id', userId);
+
+  if (error) {
+    console.error('❌ Video count update error:', error);
+  }
+  return count || 0;
+}
+
+/**
+ * Delete a video with everything that points at it: likes on and reports of
+ * the video and its comments, comments, notifications about it, playlist
+ * entries, history, view events, rankings, its allowlist and the stored media
+ * (original, HLS renditions, cover, sprite and thumbnail track). The row goes last, so a
+ * failure part-way leaves a video that can simply be deleted again.
+ *
+ * @param {object} video - needs id, user_id, video_url, storage_path, cover_url
+ * @returns {Promise<{ error: object|null }>}
+ */
+export async function deleteVideo(video) {
+  const commentIds = await getCommentIds(video.id);
+  for (let i = 0; i < commentIds.length; i += DELETE_BATCH_SIZE) {
+    await supabase
+      .from('likes')
+      .delete()
+      .eq('target_type', 'comment')
+      .in('target_id', commentIds.slice(i, i + DELETE_BATCH_SIZE));
+    await supabase
+      .from('reports')
+      .delete()
+      .eq('target_type', 'comment')
+      .in('target_id', commentIds.slice(i, i + DELETE_BATCH_SIZE).map(String));
+  }
+
+  await supabase.from('likes').delete().eq('target_type', 'video').eq('target_id', video.id);
+  await supabase.from('reports').delete().eq('target_type', 'video').eq('target_id', String(video.id));
+  // Replies first: they reference their parent comment
+  await supabase.from('comments').delete().eq('video_id', video.id).not('parent_id', 'is', null);
+  await supabase.from('comments').delete().eq('video_id', video.id);
+  await supabase.from('notifications').delete().eq('payload->>video_id', video.id);
+
+  for (const table of ['playlist_items', 'watch_history', 'view_events', 'trending_rankings', 'video_access', 'video_uploads', 'upload_notifications']) {
+    const { error } = await supabase.from(table).delete().eq('video_id', video.id);
+    if (error) console.error(`⚠️ Failed to clear ${table} for video ${video.id}:`, error);
+  }
+
+  const { error } = await supabase
+    .from('videos')
+    .delete()
+    .eq('id', video.id);
+
+  if (error) {
+    console.error('❌ Video delete error:', error);
+    return { error };
+  }
+
+  // Storage cleanup never fails the delete: the row is gone either way
+  try {
+    const original = video.storage_path || storagePath('videos', video.video_url);
+    if (original) await supabase.storage.from('videos').remove([original]);
+    await removeHls(`${video.user_id}/${video.id}`);
+    await removeThumbnails(video.user_id, video.id);
+
+    const cover = storagePath('covers', video.cover_url);
+    if (cover) await supabase.storage.from('covers').remove([cover]);
+  } catch (err) {
+    console.error(`⚠️ Storage cleanup failed for video ${video.id}:`, err.message);
+  }
+
+  await refreshVideoCount(video.user_id);
+  console.log(`🗑️ Video ${video.id} deleted with ${commentIds.length} comments`);
+  return { error: null };
+}
+
+async function getCommentIds(videoId) {
+  const ids = [];
+  for (let from = 0; ; from += DELETE_BATCH_SIZE) {
+    const { data } = await supabase
+      .from('comments')
+      .select('id')
+      .eq('video_id', videoId)
+      .order('id', { ascending: true })
+      .range(from, from + DELETE_BATCH_SIZE - 1);
+
+    ids.push(...(data || []).map(row => row.id));
+    if (!data || data.length < DELETE_BATCH_SIZE) return ids;
+  }
+}
+
+function isDraft(fields) {
+  return fields.draft === true || fields.draft === 'true';
+}
@@ -0,0 +1,255 @@
+// pages/api/videos.js - edit, re-cover and delete your own videos
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { validateVideoFields, parseTags, publishVideo, deleteVideo } from './videoStore.js';
+import { queueUploadNotifications } from './subscriptionStore.js';
+import { storagePath, signPaths } from './mediaUrls.js';
+import { readBody } from './requestBody.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Covers arrive as a raw image body, so parse JSON ourselves
+export const config = {
+  api: {
+    bodyParser: false,
+  },
+};
+
+const MAX_JSON_SIZE = 64 * 1024;
+// Below the 4.5MB request limit of serverless functions
+const MAX_COVER_SIZE = 4 * 1024 * 1024;
+const COVER_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+const VIDEO_COLUMNS = 'id, user_id, title, description, tags, category, privacy, ai_generated, cover_url, video_url, storage_path, publish_state, publish_at, publish_privacy, hidden_at';
+
+/*
+ * PATCH  /api/videos?id=   { title, description, tags, category, privacy, aiGenerated }
+ *                          plus, while unpublished, one of { draft: true } | { publishAt } | { publish: true }
+ * PUT    /api/videos?id=   raw image/jpeg, image/png or image/webp body: replace the cover
+ * DELETE /api/videos?id=   delete the video, its comments, likes, notifications and stored media
+ *
+ * Owner only; anyone else gets the same 404 as for a missing video. Fields are
+ * validated like an upload, but only the ones sent are changed. Privacy of a
+ * draft or scheduled video is kept in publish_privacy until it is published
+ * (see videoStore.js), and of a hidden one in hidden_privacy until moderators
+ * unhide it (see moderationStore.js).
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'PATCH, PUT, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['PATCH', 'PUT', 'DELETE'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { id } = req.query;
+    if (!id) {
+      return res.status(400).json({ success: false, error: 'Video ID required' });
+    }
+
+    const { data: video } = await supabase
+      .from('videos')
+      .select(VIDEO_COLUMNS)
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!video || video.user_id !== req.user.id) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    if (req.method === 'PATCH') {
+      return await updateVideo(req, res, video);
+    }
+    if (req.method === 'PUT') {
+      return await replaceCover(req, res, video);
+    }
+
+    const { error } = await deleteVideo(video);
+    if (error) {
+      return res.status(500).json({ success: false, error: 'Failed to delete video' });
+    }
+    return res.status(200).json({ success: true, id: video.id });
+  } catch (err) {
+    console.error('💥 Videos API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
+
+async function updateVideo(req, res, video) {
+  const raw = await readBody(req, MAX_JSON_SIZE);
+  if (raw === null) {
+    return res.status(413).json({ success: false, error: 'Request body too large' });
+  }
+
+  let fields;
+  try {
+    fields = JSON.parse(raw.toString('utf8') || '{}');
+  } catch (err) {
+    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+  }
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    return res.status(400).json({ success: false, error: 'Invalid JSON body' });
+  }
+
+  const validationError = validateVideoFields(fields, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const publishing = [fields.draft === true, !!fields.publishAt, fields.publish === true].filter(Boolean).length;
+  if (publishing > 1) {
+    return res.status(400).json({ success: false, error: 'Choose one of draft, publishAt or publish' });
+  }
+  if (publishing && video.publish_state === 'published') {
+    return res.status(400).json({ success: false, error: 'This video is already published' });
+  }
+
+  const unpublished = video.publish_state !== 'published';
+  const updates = {};
+  if (fields.title !== undefined) updates.title = fields.title.trim();
+  if (fields.description !== undefined) updates.description = fields.description?.trim() || null;
+  if (fields.tags !== undefined) updates.tags = parseTags(fields.tags);
+  if (fields.category !== undefined) updates.category = String(fields.category || '').trim() || 'other';
+  if (fields.aiGenerated !== undefined) updates.ai_generated = fields.aiGenerated === true || fields.aiGenerated === 'true';
+  if (fields.privacy !== undefined) {
+    updates[unpublished ? 'publish_privacy' : video.hidden_at ? 'hidden_privacy' : 'privacy'] = fields.privacy;
+  }
+  if (fields.draft === true) {
+    updates.publish_state = 'draft';
+    updates.publish_at = null;
+  }
+  if (fields.publishAt) {
+    updates.publish_state = 'scheduled';
+    updates.publish_at = new Date(fields.publishAt).toISOString();
+  }
+
+  if (Object.keys(updates).length === 0 && fields.publish !== true) {
+    return res.status(400).json({ success: false, error: 'Nothing to update' });
+  }
+
+  let updated = video;
+  if (Object.keys(updates).length > 0) {
+    // Matches only while the publish state is the one we checked against, so
+    // the publish-scheduled cron and this edit never both win
+    const { data, error } = await supabase
+      .from('videos')
+      .update(updates)
+      .eq('id', video.id)
+      .eq('publish_state', video.publish_state)
+      .select(VIDEO_COLUMNS)
+      .maybeSingle();
+
+    if (error) {
+      console.error('❌ Video update error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to update video' });
+    }
+    if (!data) {
+      return res.status(409).json({ success: false, error: 'The video was published in the meantime, reload and try again' });
+    }
+    updated = data;
+  }
+
+  if (fields.publish === true) {
+    const published = await publishVideo(updated, updated.publish_state);
+    if (!published) {
+      return res.status(409).json({ success: false, error: 'The video was published in the meantime, reload and try again' });
+    }
+    if (published.privacy === 'public') {
+      await queueUploadNotifications(published);
+    }
+    updated = { ...updated, privacy: published.privacy, publish_state: 'published', publish_at: null, publish_privacy: null };
+  }
+
+  console.log(`✏️ Video ${video.id} updated:`, [...Object.keys(updates), ...(fields.publish === true ? ['published'] : [])].join(', '));
+  return res.status(200).json({ success: true, video: formatVideo(updated) });
+}
+
+async function replaceCover(req, res, video) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const ext = COVER_TYPES[contentType];
+  if (!ext) {
+    return res.status(400).json({ success: false, error: 'Cover must be a JPEG, PNG or WebP image' });
+  }
+
+  const image = await readBody(req, MAX_COVER_SIZE);
+  if (image === null) {
+    return res.status(413).json({ success: false, error: `Cover is limited to ${MAX_COVER_SIZE / 1024 / 1024}MB` });
+  }
+  if (image.length === 0) {
+    return res.status(400).json({ success: false, error: 'Cover image required' });
+  }
+
+  // A new name each time, so cached copies of the old cover are never served for it
+  const coverName = `${video.user_id}/${video.id}-cover-${Date.now()}.${ext}`;
+  const { error: uploadError } = await supabase.storage
+    .from('covers')
+    .upload(coverName, image, {
+      contentType,
+      cacheControl: 'public, max-age=31536000',
+      upsert: false
+    });
+
+  if (uploadError) {
+    console.error('❌ Cover upload error:', uploadError);
+    return res.status(500).json({ success: false, error: 'Failed to upload cover' });
+  }
+
+  const { data: coverUrlData } = supabase.storage
+    .from('covers')
+    .getPublicUrl(coverName);
+
+  const { error } = await supabase
+    .from('videos')
+    .update({ cover_url: coverUrlData.publicUrl })
+    .eq('id', video.id);
+
+  if (error) {
+    console.error('❌ Cover update error:', error);
+    await supabase.storage.from('covers').remove([coverName]);
+    return res.status(500).json({ success: false, error: 'Failed to update cover' });
+  }
+
+  const previous = storagePath('covers', video.cover_url);
+  if (previous && previous !== coverName) {
+    await supabase.storage.from('covers').remove([previous]);
+  }
+
+  const signed = await signPaths('covers', [coverName]);
+  console.log(`🖼️ Cover replaced for video ${video.id}`);
+  return res.status(200).json({ success: true, cover_url: signed.get(coverName) || null });
+}
+
+function formatVideo(video) {
+  return {
+    id: video.id,
+    title: video.title,
+    description: video.description,
+    tags: video.tags || [],
+    category: video.category,
+    privacy: video.privacy,
+    ai_generated: !!video.ai_generated,
+    publish_state: video.publish_state || 'published',
+    publish_at: video.publish_at,
+    publish_privacy: video.publish_privacy
+  };
+}
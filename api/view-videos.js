@@ -1,6 +1,15 @@
 // pages/api/view-videos.js - UPDATED WITH TAB SUPPORT
 import { createClient } from '@supabase/supabase-js';
-import cookie from 'cookie';
+import { withSession } from './session.js';
+import { getHistoryPage, getResumePoint } from './watchHistory.js';
+import { resolvePlaylist, getPlaylistItemsPage } from './playlistStore.js';
+import { getTrendingPage, ALL_CATEGORIES } from './trending.js';
+import { getRecommendations } from './recommender.js';
+import { parseSearchFilters, searchVideos } from './videoSearch.js';
+import { isSubscribed } from './subscriptionStore.js';
+import { clampLimit, encodeCursor, decodeCursor, keysetFilter } from './pagination.js';
+import { canViewVideo, filterViewable } from './videoAccess.js';
+import { signVideoMedia } from './mediaUrls.js';
 
 // Initialize Supabase client
 const supabase = createClient(
@@ -8,98 +17,89 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export default async function handler(req, res) {
+const MAX_STATS_IDS = 100;
+const DEFAULT_PAGE_SIZE = 12;
+const MAX_PAGE_SIZE = 50;
+
+// Orderings for ?sort= on plain listings; each ends in `id` so the cursor is unambiguous
+const SORT_ORDERS = {
+  newest: [
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ],
+  oldest: [
+    { column: 'created_at', ascending: true },
+    { column: 'id', ascending: true }
+  ],
+  popular: [
+    { column: 'views', ascending: false },
+    { column: 'created_at', ascending: false },
+    { column: 'id', ascending: false }
+  ]
+};
+
+// Liked videos are paged over `likes` itself
+const LIKED_ORDER = [
+  { column: 'created_at', ascending: false },
+  { column: 'id', ascending: false }
+];
+
+// likes_count and comments_count are kept up to date by like-video.js and
+// comments.js, so a page of videos needs no per-video count queries
+const VIDEO_SELECT = `
+  id,
+  user_id,
+  title,
+  description,
+  video_url,
+  cover_url,
+  original_filename,
+  mime_type,
+  size,
+  views,
+  likes_count,
+  comments_count,
+  created_at,
+  publish_state,
+  publish_at,
+  publish_privacy,
+  hidden_at,
+  hidden_reason,
+  tags,
+  ai_generated,
+  category,
+  privacy,
+  container,
+  duration,
+  width,
+  height,
+  video_codec,
+  audio_codec,
+  bitrate,
+  frame_rate,
+  sprite_url,
+  thumbnails_vtt_url,
+  processing_state,
+  stream_url,
+  users (
+    id,
+    email,
+    username,
+    avatar_url,
+    profile_picture,
+    subscriber_count
+  )
+`;
+
+async function handler(req, res) {
   try {
     console.log('👀 View-videos API called, method:', req.method);
     console.log('📊 Query params:', req.query);
     
-    let userId = null;
-    let userEmail = null;
+    const userId = req.user?.id || null;
+    const userEmail = req.user?.email || null;
     
-    // Check if user is authenticated
-    const cookies = req.headers.cookie ? cookie.parse(req.headers.cookie) : {};
-    const sessionToken = cookies['__Host-session_secure'] || cookies.session_secure;
-    
-    console.log('🔍 Session token present:', !!sessionToken);
-    
-    if (sessionToken) {
-      const { data: session } = await supabase
-        .from('sessions')
-        .select('user_id, user_email, expires_at')
-        .eq('session_token', sessionToken)
-        .maybeSingle();
-
-      if (session && new Date(session.expires_at) > new Date()) {
-        userId = session.user_id;
-        userEmail = session.user_email;
-        console.log('✅ User authenticated, ID:', userId, 'Email:', userEmail);
-      } else {
-        console.log('❌ Session expired or invalid');
-      }
-    } else {
-      console.log('❌ No session token - user is guest');
-    }
-
-    // Handle POST: add a new comment
-    if (req.method === 'POST') {
-      console.log('💬 POST request - adding comment');
-      
-      if (!userId) {
-        return res.status(401).json({ error: 'Not authenticated' });
-      }
-
-      const { videoId } = req.query;
-      const { text } = req.body;
-
-      console.log('💬 Comment details - Video ID:', videoId, 'Text length:', text?.length);
-
-      if (!text) return res.status(400).json({ error: 'Comment text required' });
-      if (!videoId) return res.status(400).json({ error: 'Video ID required' });
-
-      // Verify video exists
-      const { data: video } = await supabase
-        .from('videos')
-        .select('id, user_id, views')
-        .eq('id', videoId)
-        .maybeSingle();
-
-      if (!video) return res.status(404).json({ error: 'Video not found' });
-
-      // Get user info for response
-      const { data: user } = await supabase
-        .from('users')
-        .select('id, username, avatar_url, email, profile_picture')
-        .eq('id', userId)
-        .single();
-
-      // Insert comment
-      const { data: newComment, error } = await supabase
-        .from('comments')
-        .insert({
-          user_id: userId,
-          video_id: videoId,
-          comment_text: text
-        })
-        .select('*')
-        .single();
-
-      if (error) {
-        console.error('❌ Comment insert error:', error);
-        return res.status(500).json({ error: error.message });
-      }
-
-      console.log('✅ Comment posted successfully');
-      
-      return res.status(200).json({
-        id: newComment.id,
-        text: newComment.comment_text,
-        created_at: newComment.created_at,
-        user: {
-          ...user,
-          avatar_url: user.avatar_url || user.profile_picture
-        }
-      });
-    }
+    console.log(userId ? `✅ User authenticated, ID: ${userId}` : '❌ No valid session - user is guest');
 
     // Handle GET: list videos with likes and views
     if (req.method === 'GET') {
@@ -110,13 +110,17 @@ export default async function handler(req, res) {
         ids, 
         since, 
         videoId: singleVideoId, 
-        incrementViews, 
         sort = 'newest', 
-        limit = 12, 
-        offset = 0, 
+        limit, 
+        cursor, 
         search,
-        view = 'home',  // NEW: 'home', 'trending', 'history', 'liked', 'your-videos', 'watch-later'
+        view = 'home',  // NEW: 'home', 'trending', 'history', 'liked', 'your-videos', 'watch-later', 'playlist', 'up-next', 'subscriptions'
+        playlistId,
+        relatedTo,
         category,
+        duration,
+        uploaded,
+        aiGenerated,
         userId: specificUserId
       } = req.query;
       
@@ -124,14 +128,18 @@ export default async function handler(req, res) {
       if (statsOnly === 'true' && ids) {
         console.log(`📊 STATS ONLY MODE - Getting stats for videos`);
         
-        const videoIds = ids.split(',');
+        const videoIds = ids.split(',').slice(0, MAX_STATS_IDS);
         
         const { data: videos, error: videosError } = await supabase
           .from('videos')
           .select(`
             id,
+            user_id,
+            privacy,
+            hidden_at,
             views,
-            created_at
+            likes_count,
+            comments_count
           `)
           .in('id', videoIds);
         
@@ -147,55 +155,15 @@ export default async function handler(req, res) {
         
         console.log(`📊 Found ${videos.length} videos`);
         
-        // Get additional stats for each video
-        const result = await Promise.all(
-          videos.map(async (video) => {
-            try {
-              // Get like count from likes table
-              const { count: likes } = await supabase
-                .from('likes')
-                .select('*', { count: 'exact', head: true })
-                .eq('target_id', video.id)
-                .eq('target_type', 'video');
-              
-              // Check if current user liked this video
-              let hasLiked = false;
-              if (userEmail) {
-                const { data: userLike } = await supabase
-                  .from('likes')
-                  .select('id')
-                  .eq('target_id', video.id)
-                  .eq('target_type', 'video')
-                  .eq('user_email', userEmail)
-                  .maybeSingle();
-                hasLiked = !!userLike;
-              }
-              
-              // Get comment count
-              const { count: commentCount } = await supabase
-                .from('comments')
-                .select('*', { count: 'exact', head: true })
-                .eq('video_id', video.id);
-              
-              return {
-                id: video.id,
-                views: video.views || 0,
-                likes: likes || 0,
-                hasLiked,
-                commentCount: commentCount || 0
-              };
-            } catch (err) {
-              console.error(`❌ Error processing video ${video.id}:`, err.message);
-              return {
-                id: video.id,
-                views: video.views || 0,
-                likes: 0,
-                hasLiked: false,
-                commentCount: 0
-              };
-            }
-          })
-        );
+        const viewable = await filterViewable(videos, req.user);
+        const likedIds = await getLikedVideoIds(viewable.map(video => video.id), userEmail);
+        const result = viewable.map(video => ({
+          id: video.id,
+          views: video.views || 0,
+          likes: video.likes_count || 0,
+          hasLiked: likedIds.has(video.id),
+          commentCount: video.comments_count || 0
+        }));
         
         console.log(`📊 Returning stats for ${result.length} videos`);
         return res.status(200).json(result);
@@ -207,28 +175,7 @@ export default async function handler(req, res) {
         
         const { data: videos, error: videosError } = await supabase
           .from('videos')
-          .select(`
-            id,
-            user_id,
-            title,
-            description,
-            video_url,
-            cover_url,
-            original_filename,
-            mime_type,
-            size,
-            views,
-            created_at,
-            tags,
-            ai_generated,
-            users (
-              id,
-              email,
-              username,
-              avatar_url,
-              profile_picture
-            )
-          `)
+          .select(VIDEO_SELECT)
           .eq('id', singleVideoId)
           .limit(1);
 
@@ -239,109 +186,242 @@ export default async function handler(req, res) {
 
         const video = videos[0];
         
+        // Unlisted videos open by link; private ones only for the owner and the allowlist
+        if (!await canViewVideo(video, req.user)) {
+          console.log(`🔒 Video ${video.id} is private`);
+          return res.status(404).json({ error: 'Video not found' });
+        }
+        
         // Process the single video
-        const result = await processVideoData(video, userEmail);
+        const [likedIds, media] = await Promise.all([
+          getLikedVideoIds([video.id], userEmail),
+          signVideoMedia([video])
+        ]);
+        const result = processVideoData(video, likedIds.has(video.id), media.get(video.id));
         
-        // INCREMENT VIEW COUNT if requested
-        if (incrementViews === 'true') {
-          console.log(`📹 Incrementing view count for video ${video.id}`);
-          const { data: updatedVideo } = await supabase
-            .from('videos')
-            .update({ 
-              views: (video.views || 0) + 1
-            })
-            .eq('id', video.id)
-            .select('views')
-            .single();
-          
-          if (updatedVideo) {
-            result.views = updatedVideo.views;
-          }
-        }
+        // Where this viewer left off last time
+        const { resume_at, completed } = userId
+          ? await getResumePoint(userId, video.id)
+          : { resume_at: 0, completed: false };
+        result.resume_at = resume_at;
+        result.completed = completed;
+        result.user.isSubscribed = await isSubscribed(userId, video.user_id);
         
         return res.status(200).json(result);
       }
       
       // ========== ALL VIDEOS REQUEST WITH DIFFERENT VIEWS ==========
+      // -> { videos, total, has_more, next_cursor }; pass next_cursor back as
+      // ?cursor= for the following page. total is only counted on the first
+      // page of plain (non-ranked) views.
       console.log(`📹 Getting videos for view: ${view}`);
       
+      const pageSize = clampLimit(limit, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+      const cursorKey = decodeCursor(cursor);
+      
       // Build query based on parameters
       let query = supabase
         .from('videos')
-        .select(`
-          id,
-          user_id,
-          title,
-          description,
-          video_url,
-          cover_url,
-          original_filename,
-          mime_type,
-          size,
-          views,
-          created_at,
-          tags,
-          ai_generated,
-          category,
-          privacy,
-          users (
-            id,
-            email,
-            username,
-            avatar_url,
-            profile_picture
-          )
-        `);
-
-      // Apply different filters based on view
-      switch(view) {
+        .select(VIDEO_SELECT, cursorKey ? undefined : { count: 'exact' });
+
+      // Views backed by their own ordered source (history, playlists, trending,
+      // recommendations, search) page that source first; the matching videos are
+      // returned in its order below. Ranked sources are paged by position, the
+      // rest by keyset on their ordering
+      let orderedEntries = null;
+      let sourcePage = null;
+      const sourceOffset = parseOffsetCursor(cursorKey);
+      let orderName = SORT_ORDERS[sort] ? sort : 'newest';
+
+      // Apply different filters based on view; a search covers all public videos
+      switch(search ? 'search' : view) {
+        case 'search': {
+          const { filters, error: filterError } = parseSearchFilters({ duration, uploaded, category, aiGenerated, sort });
+          if (filterError) {
+            return res.status(400).json({ error: filterError });
+          }
+          
+          const { entries: matches, error: searchError } = await searchVideos(
+            search,
+            filters,
+            sourceOffset,
+            pageSize + 1
+          );
+          
+          if (searchError) {
+            console.error('❌ Search error:', searchError);
+            return res.status(500).json({ error: searchError.message });
+          }
+          
+          sourcePage = takePage(matches, pageSize, () => ({ offset: sourceOffset + pageSize }));
+          orderedEntries = sourcePage.page.map(({ id, rank }) => ({ video_id: id, search_rank: rank }));
+          query = orderedEntries.length > 0
+            ? query.in('id', orderedEntries.map(entry => entry.video_id)).eq('privacy', 'public')
+            : query.limit(0); // No matches
+          break;
+        }
+        
         case 'home':
-          // Default view - show public videos
-          query = query.eq('privacy', 'public');
+          // Default view - show public videos, personalized when sorted by recommendation
+          if (sort !== 'recommended') {
+            query = query.eq('privacy', 'public');
+            break;
+          }
+          // fall through
+        case 'up-next': {
+          // Ranked by the recommender; guests get the trending ranking
+          if (view === 'up-next' && !relatedTo) {
+            return res.status(400).json({ error: 'relatedTo is required for up next' });
+          }
+          
+          const { entries: recommended, error: recommendError, status: recommendStatus } = await getRecommendations(
+            req.user,
+            {
+              relatedTo: view === 'up-next' ? relatedTo : null,
+              category: category && category !== 'all' ? category : null,
+              offset: sourceOffset,
+              limit: pageSize + 1
+            }
+          );
+          
+          if (recommendError) {
+            console.error('❌ Recommendations error:', recommendError);
+            return res.status(recommendStatus || 500).json({ error: recommendError });
+          }
+          
+          sourcePage = takePage(recommended, pageSize, () => ({ offset: sourceOffset + pageSize }));
+          orderedEntries = sourcePage.page.map(({ video_id, score, reason }) => ({
+            video_id,
+            recommendation_score: score,
+            recommendation_reason: reason
+          }));
+          query = orderedEntries.length > 0
+            ? query.in('id', orderedEntries.map(entry => entry.video_id)).eq('privacy', 'public')
+            : query.limit(0); // Nothing to recommend
           break;
+        }
+          
+        case 'trending': {
+          // Trending videos - ranked by the compute-trending cron
+          const { entries: ranking, error: trendingError } = await getTrendingPage(
+            category || ALL_CATEGORIES,
+            sourceOffset,
+            pageSize + 1
+          );
+          
+          if (trendingError) {
+            console.error('❌ Trending fetch error:', trendingError);
+            return res.status(500).json({ error: trendingError.message });
+          }
           
-        case 'trending':
-          // Trending videos - most views in last 7 days
+          if (ranking) {
+            sourcePage = takePage(ranking, pageSize, () => ({ offset: sourceOffset + pageSize }));
+            orderedEntries = sourcePage.page.map(({ video_id, rank, score }) => ({
+              video_id,
+              trending_rank: rank,
+              trending_score: score
+            }));
+            query = orderedEntries.length > 0
+              ? query.in('id', orderedEntries.map(entry => entry.video_id)).eq('privacy', 'public')
+              : query.limit(0); // Nothing trending in this category
+            break;
+          }
+          
+          // No ranking computed yet - most views in last 7 days
           const sevenDaysAgo = new Date();
           sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
           
           query = query
             .eq('privacy', 'public')
-            .gte('created_at', sevenDaysAgo.toISOString())
-            .order('views', { ascending: false });
+            .gte('created_at', sevenDaysAgo.toISOString());
+          orderName = 'popular';
           break;
+        }
           
-        case 'history':
+        case 'history': {
           // User's watch history - requires authentication
           if (!userId) {
             return res.status(401).json({ error: 'Authentication required for watch history' });
           }
           
-          // We need to join with a watch_history table (we'll create this later)
-          // For now, return empty or show recently watched videos from a temporary table
-          query = query.eq('privacy', 'public').limit(0);
+          const { entries, error: historyError } = await getHistoryPage(
+            userId,
+            parseHistoryCursor(cursorKey),
+            pageSize + 1
+          );
+          
+          if (historyError) {
+            console.error('❌ History fetch error:', historyError);
+            return res.status(500).json({ error: historyError.message });
+          }
+          
+          sourcePage = takePage(entries, pageSize, last => ({ watched_at: last.watched_at, video_id: last.video_id }));
+          orderedEntries = sourcePage.page.map(({ video_id, watched_at, position_seconds }) => ({
+            video_id,
+            watched_at,
+            position_seconds: position_seconds || 0
+          }));
+          if (orderedEntries.length > 0) {
+            query = query
+              .in('id', orderedEntries.map(entry => entry.video_id))
+              .or(`privacy.neq.private,user_id.eq.${userId}`);
+          } else {
+            query = query.limit(0); // Nothing watched yet
+          }
           break;
+        }
           
-        case 'liked':
-          // User's liked videos - requires authentication
+        case 'liked': {
+          // User's liked videos, most recently liked first - requires authentication
           if (!userId) {
             return res.status(401).json({ error: 'Authentication required for liked videos' });
           }
           
-          // Get videos that user has liked
-          const { data: likedVideos } = await supabase
+          let likesQuery = supabase
             .from('likes')
-            .select('target_id')
+            .select('id, target_id, created_at')
             .eq('user_email', userEmail)
             .eq('target_type', 'video');
           
-          if (likedVideos && likedVideos.length > 0) {
-            const likedVideoIds = likedVideos.map(like => like.target_id);
-            query = query.in('id', likedVideoIds).eq('privacy', 'public');
-          } else {
-            query = query.limit(0); // No liked videos
+          LIKED_ORDER.forEach(({ column, ascending }) => {
+            likesQuery = likesQuery.order(column, { ascending });
+          });
+          const afterLike = parseLikedCursor(cursorKey);
+          if (afterLike) {
+            likesQuery = likesQuery.or(keysetFilter(LIKED_ORDER, afterLike));
+          }
+          
+          const { data: likes, error: likesError } = await likesQuery.limit(pageSize + 1);
+          
+          if (likesError) {
+            console.error('❌ Liked videos fetch error:', likesError);
+            return res.status(500).json({ error: likesError.message });
+          }
+          
+          sourcePage = takePage(likes || [], pageSize, last => ({ created_at: last.created_at, id: last.id }));
+          orderedEntries = sourcePage.page.map(({ target_id, created_at }) => ({
+            video_id: target_id,
+            liked_at: created_at
+          }));
+          query = orderedEntries.length > 0
+            ? query.in('id', orderedEntries.map(entry => entry.video_id)).eq('privacy', 'public')
+            : query.limit(0); // No liked videos
+          break;
+        }
+          
+        case 'subscriptions': {
+          // New uploads from followed creators - requires authentication
+          if (!userId) {
+            return res.status(401).json({ error: 'Authentication required for subscriptions' });
           }
+          
+          // Followed creators are joined in the database (subscriptionStore.js),
+          // however many of them there are; sorting and paging apply as usual
+          query = supabase
+            .rpc('subscribed_videos', { viewer_id: userId }, cursorKey ? undefined : { count: 'exact' })
+            .select(VIDEO_SELECT);
           break;
+        }
           
         case 'your-videos':
           // User's own videos - requires authentication
@@ -359,9 +439,44 @@ export default async function handler(req, res) {
             return res.status(401).json({ error: 'Authentication required for watch later' });
           }
           
-          // We need a watch_later table (we'll create this later)
-          query = query.eq('privacy', 'public').limit(0);
+          // Watch Later is a playlist; fall through with its alias
+        case 'playlist': {
+          const { playlist, error: playlistError, status } = await resolvePlaylist(
+            view === 'watch-later' ? 'watch-later' : playlistId,
+            req.user
+          );
+          if (playlistError) {
+            return res.status(status).json({ error: playlistError });
+          }
+          
+          const { items, error: itemsError } = await getPlaylistItemsPage(
+            playlist.id,
+            sourceOffset,
+            pageSize + 1
+          );
+          
+          if (itemsError) {
+            console.error('❌ Playlist items fetch error:', itemsError);
+            return res.status(500).json({ error: itemsError.message });
+          }
+          
+          sourcePage = takePage(items, pageSize, () => ({ offset: sourceOffset + pageSize }));
+          orderedEntries = sourcePage.page.map(({ video_id, position, added_at }) => ({
+            video_id,
+            playlist_position: position,
+            added_at
+          }));
+          if (orderedEntries.length > 0) {
+            // Other people's private videos drop out of a playlist without being removed from it
+            query = query.in('id', orderedEntries.map(entry => entry.video_id));
+            query = userId
+              ? query.or(`privacy.neq.private,user_id.eq.${userId}`)
+              : query.neq('privacy', 'private');
+          } else {
+            query = query.limit(0); // Empty playlist
+          }
           break;
+        }
           
         default:
           // Default to home view
@@ -373,57 +488,73 @@ export default async function handler(req, res) {
         query = query.eq('category', category);
       }
       
-      // Apply search filter
-      if (search) {
-        query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%,users.username.ilike.%${search}%`);
-      }
-
-      // Apply sorting (if not already sorted by trending)
-      if (view !== 'trending') {
-        switch (sort) {
-          case 'popular':
-            query = query.order('views', { ascending: false });
-            break;
-          case 'oldest':
-            query = query.order('created_at', { ascending: true });
-            break;
-          case 'newest':
-          default:
-            query = query.order('created_at', { ascending: false });
-            break;
+      // Plain views: sort, continue after the cursor and fetch one extra row to
+      // know whether there is another page (ordered views were already paged)
+      const order = SORT_ORDERS[orderName];
+      if (!orderedEntries) {
+        order.forEach(({ column, ascending }) => {
+          query = query.order(column, { ascending });
+        });
+        
+        const after = parseVideoCursor(cursorKey, orderName, order);
+        if (after) {
+          query = query.or(keysetFilter(order, after));
         }
+        query = query.limit(pageSize + 1);
       }
 
-      // Apply pagination
-      if (limit && offset) {
-        query = query.range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-      }
-
-      const { data: videos, error: videosError } = await query;
+      const { data: videos, error: videosError, count } = await query;
 
       if (videosError) {
         console.error('❌ Videos fetch error:', videosError);
         return res.status(500).json({ error: videosError.message });
       }
       
-      if (!videos || videos.length === 0) {
+      if (!orderedEntries) {
+        sourcePage = takePage(videos || [], pageSize, last => ({
+          sort: orderName,
+          ...Object.fromEntries(order.map(({ column }) => [column, last[column]]))
+        }));
+      }
+      
+      const page = orderedEntries ? videos || [] : sourcePage.page;
+      const listing = {
+        success: true,
+        total: (orderedEntries || cursorKey) ? null : (count ?? null),
+        has_more: sourcePage.hasMore,
+        next_cursor: sourcePage.nextCursor
+      };
+      
+      if (page.length === 0) {
         console.log('📭 No videos found');
-        return res.status(200).json([]);
+        return res.status(200).json({ ...listing, videos: [] });
       }
 
-      console.log(`📹 Found ${videos.length} videos`);
+      console.log(`📹 Found ${page.length} videos`);
       
       // Build response with additional data
-      const result = await Promise.all(
-        videos.map(async (video) => {
-          return await processVideoData(video, userEmail);
-        })
-      );
+      const [likedIds, media] = await Promise.all([
+        getLikedVideoIds(page.map(video => video.id), userEmail),
+        signVideoMedia(page)
+      ]);
+      const result = page.map(video => processVideoData(video, likedIds.has(video.id), media.get(video.id)));
+
+      if (orderedEntries) {
+        // Entries hidden by privacy or the category filter leave a short page; has_more still holds
+        const byId = new Map(result.map(video => [video.id, video]));
+        const ordered = orderedEntries
+          .filter(entry => byId.has(entry.video_id))
+          .map(({ video_id, ...extra }) => ({ ...byId.get(video_id), ...extra }));
+        
+        console.log('✅ Returning', ordered.length, `${view} entries`);
+        return res.status(200).json({ ...listing, videos: ordered });
+      }
 
       console.log('✅ Returning', result.length, 'videos');
-      return res.status(200).json(result);
+      return res.status(200).json({ ...listing, videos: result });
     }
 
+
     return res.status(405).json({ error: 'Method not allowed' });
 
   } catch (err) {
@@ -437,105 +568,90 @@ export default async function handler(req, res) {
   }
 }
 
-// Helper function to process video data
-async function processVideoData(video, userEmail) {
-  try {
-    console.log(`📹 Processing video: ${video.title || 'Untitled'} (${video.id})`);
-    
-    // Get like count from likes table
-    const { count: likes } = await supabase
-      .from('likes')
-      .select('*', { count: 'exact', head: true })
-      .eq('target_id', video.id)
-      .eq('target_type', 'video');
-
-    // Check if current user liked this video
-    let hasLiked = false;
-    if (userEmail) {
-      const { data: userLike } = await supabase
-        .from('likes')
-        .select('id')
-        .eq('target_id', video.id)
-        .eq('target_type', 'video')
-        .eq('user_email', userEmail)
-        .maybeSingle();
-      hasLiked = !!userLike;
-    }
+export default withSession(handler);
+
+// Trim a page fetched with one extra row and build the cursor that continues after it
+function takePage(rows, pageSize, nextKey) {
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  return {
+    page,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(nextKey(page[page.length - 1])) : null
+  };
+}
 
-    // Handle video and cover URLs
-    let videoUrl = video.video_url;
-    let coverUrl = video.cover_url;
+// Validate decoded cursors before they are used as an offset or interpolated into a filter
+function parseOffsetCursor(key) {
+  const offset = parseInt(key?.offset, 10);
+  return Number.isFinite(offset) && offset > 0 ? offset : 0;
+}
 
-    // If URLs are relative paths, create public URLs
-    if (videoUrl && !videoUrl.startsWith('http') && !videoUrl.startsWith('blob:')) {
-      try {
-        console.log(`🔄 Generating video URL for: ${videoUrl}`);
-        const { data: publicUrlData } = supabase.storage
-          .from('videos')
-          .getPublicUrl(videoUrl);
-        videoUrl = publicUrlData.publicUrl;
-        console.log(`✅ Video URL generated`);
-      } catch (error) {
-        console.error('❌ Error creating video URL:', error);
-        // Fallback to the original URL
-      }
-    }
-    
-    if (coverUrl && !coverUrl.startsWith('http') && !coverUrl.startsWith('blob:')) {
-      try {
-        console.log(`🔄 Generating cover URL for: ${coverUrl}`);
-        const { data: publicUrlData } = supabase.storage
-          .from('covers')
-          .getPublicUrl(coverUrl);
-        coverUrl = publicUrlData.publicUrl;
-        console.log(`✅ Cover URL generated`);
-      } catch (error) {
-        console.error('❌ Error creating cover URL:', error);
-        // Use a better placeholder
-        coverUrl = 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop';
-      }
-    }
+function parseVideoCursor(key, orderName, order) {
+  if (!key || key.sort !== orderName) return null;
+
+  const after = {};
+  for (const { column } of order) {
+    const value = String(key[column] ?? '');
+    const valid = column === 'views'
+      ? /^\d+$/.test(value)
+      : column === 'id'
+        ? /^[\w-]+$/.test(value)
+        : isTimestamp(value);
+    if (!valid) return null;
+    after[column] = value;
+  }
+  return after;
+}
 
-    // Get comments with user info
-    const { data: comments } = await supabase
-      .from('comments')
-      .select(`
-        id, 
-        user_id, 
-        video_id, 
-        comment_text, 
-        created_at, 
-        edited_at,
-        users (
-          id,
-          username,
-          email,
-          avatar_url,
-          profile_picture
-        )
-      `)
-      .eq('video_id', video.id)
-      .order('created_at', { ascending: true })
-      .limit(50); // Limit comments for performance
-
-    // Process comments to include user data
-    const processedComments = (comments || []).map(comment => {
-      // Get user data from comment
-      const userData = comment.users || {};
-      
-      return {
-        id: comment.id,
-        text: comment.comment_text,
-        created_at: comment.created_at,
-        edited_at: comment.edited_at,
-        user: {
-          id: userData.id,
-          username: userData.username || 'Anonymous',
-          email: userData.email,
-          avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || 'User')}&background=random`
-        }
-      };
-    });
+function parseHistoryCursor(key) {
+  if (!key || !isTimestamp(String(key.watched_at ?? '')) || !/^[\w-]+$/.test(String(key.video_id ?? ''))) {
+    return null;
+  }
+  return { watched_at: String(key.watched_at), video_id: key.video_id };
+}
+
+function parseLikedCursor(key) {
+  if (!key || !isTimestamp(String(key.created_at ?? '')) || !/^[\w-]+$/.test(String(key.id ?? ''))) {
+    return null;
+  }
+  return { created_at: String(key.created_at), id: key.id };
+}
+
+// Keep the database's own timestamp string: it has microseconds a Date would drop
+function isTimestamp(value) {
+  return !Number.isNaN(new Date(value).getTime()) && /^[\d\-:.T+Z ]+$/.test(value);
+}
+
+// Which of these videos the viewer has liked, in one query
+async function getLikedVideoIds(videoIds, userEmail) {
+  if (!userEmail || videoIds.length === 0) return new Set();
+
+  const { data: likes, error } = await supabase
+    .from('likes')
+    .select('target_id')
+    .eq('target_type', 'video')
+    .eq('user_email', userEmail)
+    .in('target_id', videoIds);
+
+  if (error) {
+    console.error('❌ Viewer likes fetch error:', error);
+    return new Set();
+  }
+  return new Set(likes.map(like => like.target_id));
+}
+
+// Helper function to process video data; comments are loaded through /api/comments
+function processVideoData(video, hasLiked, media = {}) {
+  try {
+    console.log(`📹 Processing video: ${video.title || 'Untitled'} (${video.id})`);
+    
+    // Signed storage URLs (see mediaUrls.js); streams are served through /api/hls
+    const videoUrl = media.video_url || null;
+    const coverUrl = media.cover_url || null;
+    const streamUrl = video.processing_state === 'ready' && video.stream_url
+      ? `/api/hls?videoId=${encodeURIComponent(video.id)}`
+      : null;
 
     // Process user data
     const userData = video.users || {};
@@ -543,30 +659,32 @@ async function processVideoData(video, userEmail) {
       id: userData.id,
       email: userData.email,
       username: userData.username || userData.email?.split('@')[0] || 'User',
-      avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || userData.email || 'User')}&background=random`
+      avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || userData.email || 'User')}&background=random`,
+      subscriber_count: userData.subscriber_count || 0
     };
 
-    // Calculate duration placeholder (you might want to store actual duration in database)
-    // For now, we'll use a random duration between 1-10 minutes
-    const duration = Math.floor(Math.random() * 600) + 60; // 1-10 minutes in seconds
-
     // Return the data with EXACT property names the frontend expects
     return {
       id: video.id,
       title: video.title || 'Untitled Video',
       description: video.description || '',
-      likes: likes || 0,
+      likes: video.likes_count || 0,
       hasLiked,
+      commentCount: video.comments_count || 0,
       views: video.views || 0,
       uploaded_at: video.created_at,
       video_url: videoUrl,  // Frontend expects video_url
+      stream_url: streamUrl,  // Preferred over video_url when present
+      processing_state: video.processing_state || null,
       cover_url: coverUrl || 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop',  // Frontend expects cover_url
-      duration: duration,
+      ...mediaMetadata(video),
+      sprite_url: media.sprite_url || null,
+      thumbnails_vtt_url: media.thumbnails_vtt_url || null,
       user: processedUser,
-      comments: processedComments,
       tags: video.tags || [],
       category: video.category || 'other',
       privacy: video.privacy || 'public',
+      ...publishInfo(video),
       ai_generated: video.ai_generated || false,
       mime_type: video.mime_type,
       size: video.size,
@@ -582,25 +700,59 @@ async function processVideoData(video, userEmail) {
       id: video.id,
       title: video.title || 'Untitled Video',
       description: video.description || '',
-      likes: 0,
-      hasLiked: false,
+      likes: video.likes_count || 0,
+      hasLiked,
+      commentCount: video.comments_count || 0,
       views: video.views || 0,
       uploaded_at: video.created_at,
-      video_url: video.video_url,
-      cover_url: video.cover_url || 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop',
-      duration: 180,
+      video_url: media.video_url || null,
+      stream_url: null,
+      processing_state: video.processing_state || null,
+      cover_url: media.cover_url || 'https://images.unsplash.com/photo-1611605698335-8b1569810435?w=800&h=450&fit=crop',
+      ...mediaMetadata(video),
+      sprite_url: media.sprite_url || null,
+      thumbnails_vtt_url: media.thumbnails_vtt_url || null,
       user: {
         id: userData.id,
         email: userData.email,
         username: userData.username || 'User',
-        avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || userData.email || 'User')}&background=random`
+        avatar_url: userData.avatar_url || userData.profile_picture || `https://ui-avatars.com/api/?name=${encodeURIComponent(userData.username || userData.email || 'User')}&background=random`,
+        subscriber_count: userData.subscriber_count || 0
       },
-      comments: [],
       tags: video.tags || [],
       category: video.category || 'other',
       privacy: video.privacy || 'public',
+      ...publishInfo(video),
       ai_generated: video.ai_generated || false,
       created_at: video.created_at
     };
   }
 }
+
+// Drafts, scheduled and hidden videos are stored as private; only their owner sees them
+function publishInfo(video) {
+  return {
+    publish_state: video.publish_state || 'published',
+    publish_at: video.publish_at || null,
+    publish_privacy: video.publish_privacy || null,
+    // Hidden videos only ever reach their owner (videoAccess.js)
+    hidden: !!video.hidden_at,
+    hidden_reason: video.hidden_at ? video.hidden_reason || null : null
+  };
+}
+
+// Probed media fields and generated thumbnails stored on the videos row at upload time
+function mediaMetadata(video) {
+  return {
+    duration: video.duration || null,
+    width: video.width || null,
+    height: video.height || null,
+    container: video.container || null,
+    video_codec: video.video_codec || null,
+    audio_codec: video.audio_codec || null,
+    bitrate: video.bitrate || null,
+    frame_rate: video.frame_rate || null,
+    sprite_url: video.sprite_url || null,
+    thumbnails_vtt_url: video.thumbnails_vtt_url || null
+  };
+}
@@ -0,0 +1,166 @@
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * Every playback opens a row in view_events:
+ *   id, video_id, user_id, viewer_key, watched_seconds, max_position,
+ *   counted, deduplicated, created_at, updated_at
+ * The player reports its watch time against that row; once it passes the
+ * minimum the view is counted, unless the same viewer already had a counted
+ * view of the video within DEDUP_WINDOW_MS. Rows are never deleted so the
+ * analytics can use them.
+ *
+ * videos.views is only changed through this function, so concurrent viewers
+ * never overwrite each other's increments:
+ *
+ *   create or replace function increment_video_views(target_video_id uuid)
+ *   returns integer language sql as $$
+ *     update videos set views = coalesce(views, 0) + 1
+ *     where id = target_video_id
+ *     returning views;
+ *   $$;
+ *
+ * and it is only called from count_view_event, which checks the window and
+ * counts in one transaction. The advisory lock makes two events of the same
+ * viewer and video (two tabs, parallel reports) take turns, so the second one
+ * always sees the first as counted:
+ *
+ *   create or replace function count_view_event(target_event_id uuid, window_start timestamptz)
+ *   returns table (is_counted boolean, total_views integer)
+ *   language plpgsql as $$
+ *   declare
+ *     ev view_events;
+ *   begin
+ *     select * into ev from view_events where id = target_event_id;
+ *     if not found then return; end if;
+ *
+ *     perform pg_advisory_xact_lock(hashtext(ev.video_id::text || '|' || ev.viewer_key));
+ *     select * into ev from view_events where id = target_event_id;
+ *
+ *     if ev.counted or ev.deduplicated then
+ *       return query select ev.counted, null::integer;
+ *     elsif exists (
+ *       select 1 from view_events e
+ *       where e.video_id = ev.video_id and e.viewer_key = ev.viewer_key
+ *         and e.counted and e.created_at >= window_start
+ *     ) then
+ *       update view_events set deduplicated = true where id = ev.id;
+ *       return query select false, null::integer;
+ *     else
+ *       update view_events set counted = true where id = ev.id;
+ *       return query select true, increment_video_views(ev.video_id);
+ *     end if;
+ *   end;
+ *   $$;
+ */
+
+export const MIN_WATCH_SECONDS = 30;
+export const DEDUP_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Reported watch time may run this far ahead of the wall clock (buffering, clock skew)
+const WATCH_TIME_SLACK_SECONDS = 5;
+
+/**
+ * Identify the viewer for de-duplication: the account when signed in,
+ * otherwise a salted hash of IP and user agent (never stored in the clear)
+ * @param {object} req
+ * @returns {string}
+ */
+export function getViewerKey(req) {
+  if (req.user) return `user:${req.user.id}`;
+
+  const ip = (req.headers['x-forwarded-for'] || req.socket?.remoteAddress || '').split(',')[0].trim();
+  const source = `${process.env.VIEW_HASH_SALT || ''}|${ip}|${req.headers['user-agent'] || ''}`;
+  return `anon:${crypto.createHash('sha256').update(source).digest('hex')}`;
+}
+
+/**
+ * Watch time needed before a view counts; short videos need half their length
+ * @param {number|null} duration - seconds
+ * @returns {number}
+ */
+export function requiredWatchSeconds(duration) {
+  if (!duration) return MIN_WATCH_SECONDS;
+  return Math.min(MIN_WATCH_SECONDS, Math.max(1, Math.floor(duration * 0.5)));
+}
+
+/**
+ * Open a view event for a playback that just started
+ * @param {object} params
+ * @param {string} params.videoId
+ * @param {object|null} params.user
+ * @param {string} params.viewerKey
+ * @returns {Promise<{ event: object|null, error: object|null }>}
+ */
+export async function startViewEvent({ videoId, user, viewerKey }) {
+  const now = new Date().toISOString();
+  const { data: event, error } = await supabase
+    .from('view_events')
+    .insert({
+      video_id: videoId,
+      user_id: user?.id || null,
+      viewer_key: viewerKey,
+      watched_seconds: 0,
+      max_position: 0,
+      counted: false,
+      deduplicated: false,
+      created_at: now,
+      updated_at: now
+    })
+    .select('*')
+    .single();
+
+  return { event, error };
+}
+
+/**
+ * Record the watch time reported for an event and count the view once it qualifies
+ * @param {object} event - view_events row
+ * @param {object} params
+ * @param {number} params.watchedSeconds - total seconds actually played
+ * @param {number} params.position - current playback position
+ * @param {number|null} params.duration - video duration in seconds
+ * @returns {Promise<{ counted: boolean, views: number|null }>}
+ */
+export async function reportWatchTime(event, { watchedSeconds, position, duration }) {
+  // Nobody watches faster than the wall clock
+  const elapsed = (Date.now() - new Date(event.created_at).getTime()) / 1000;
+  const watched = Math.max(event.watched_seconds || 0, Math.min(watchedSeconds, elapsed + WATCH_TIME_SLACK_SECONDS));
+
+  await supabase
+    .from('view_events')
+    .update({
+      watched_seconds: Math.floor(watched),
+      max_position: Math.floor(Math.max(event.max_position || 0, position || 0)),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', event.id);
+
+  if (event.counted || event.deduplicated || watched < requiredWatchSeconds(duration)) {
+    return { counted: event.counted, views: null };
+  }
+
+  const windowStart = new Date(Date.now() - DEDUP_WINDOW_MS).toISOString();
+  const { data, error } = await supabase.rpc('count_view_event', {
+    target_event_id: event.id,
+    window_start: windowStart
+  });
+
+  if (error) {
+    console.error('❌ View count error:', error);
+    return { counted: false, views: null };
+  }
+
+  const result = data?.[0];
+  if (!result?.is_counted) return { counted: false, views: null };
+  // Another report of this event counted it first
+  if (result.total_views == null) return { counted: true, views: null };
+
+  console.log('👁️ View counted for video', event.video_id);
+  return { counted: true, views: result.total_views };
+}
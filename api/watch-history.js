@@ -0,0 +1,116 @@
+// pages/api/watch-history.js - manage the signed-in user's watch history
+import { createClient } from '@supabase/supabase-js';
+import { requireUser } from './session.js';
+import { recordWatch } from './watchHistory.js';
+import { getViewableVideo } from './videoAccess.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * GET    /api/watch-history                 { paused }
+ * POST   /api/watch-history   { videoId, position? }    record a watch
+ * PATCH  /api/watch-history   { paused: true|false }    pause/resume recording
+ * DELETE /api/watch-history?videoId=                    remove one entry
+ * DELETE /api/watch-history?all=true                    clear everything
+ *
+ * The history itself is listed by /api/view-videos?view=history.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  const user = req.user;
+
+  try {
+    if (req.method === 'GET') {
+      return res.status(200).json({ success: true, paused: !!user.history_paused });
+    }
+
+    if (req.method === 'POST') {
+      const { videoId, position } = req.body || {};
+      if (!videoId) {
+        return res.status(400).json({ success: false, error: 'Video ID required' });
+      }
+
+      // Only videos the user can watch go into their history
+      const video = await getViewableVideo(videoId, user);
+      if (!video) {
+        return res.status(404).json({ success: false, error: 'Video not found' });
+      }
+
+      const positionSeconds = Number.isFinite(Number(position)) && Number(position) >= 0
+        ? Number(position)
+        : null;
+      const recorded = await recordWatch(user, video.id, positionSeconds);
+
+      return res.status(200).json({ success: true, recorded, paused: !!user.history_paused });
+    }
+
+    if (req.method === 'PATCH') {
+      const { paused } = req.body || {};
+      if (typeof paused !== 'boolean') {
+        return res.status(400).json({ success: false, error: 'paused must be true or false' });
+      }
+
+      const { error } = await supabase
+        .from('users')
+        .update({ history_paused: paused })
+        .eq('id', user.id);
+
+      if (error) {
+        console.error('❌ History pause update error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to update history setting' });
+      }
+
+      console.log(paused ? '⏸️ History paused for' : '▶️ History resumed for', user.id);
+      return res.status(200).json({ success: true, paused });
+    }
+
+    if (req.method === 'DELETE') {
+      const { videoId, all } = req.query;
+
+      if (!videoId && all !== 'true') {
+        return res.status(400).json({ success: false, error: 'videoId or all=true required' });
+      }
+
+      let query = supabase
+        .from('watch_history')
+        .delete({ count: 'exact' })
+        .eq('user_id', user.id);
+
+      if (all !== 'true') {
+        query = query.eq('video_id', videoId);
+      }
+
+      const { count, error } = await query;
+
+      if (error) {
+        console.error('❌ History delete error:', error);
+        return res.status(500).json({ success: false, error: 'Failed to update watch history' });
+      }
+
+      console.log('🗑️ Removed', count || 0, 'history entries for', user.id);
+      return res.status(200).json({ success: true, removed: count || 0 });
+    }
+
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  } catch (err) {
+    console.error('💥 Watch history API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
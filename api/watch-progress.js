@@ -0,0 +1,63 @@
+// pages/api/watch-progress.js - save the playback position for resume
+import { requireUser } from './session.js';
+import { getViewableVideo } from './videoAccess.js';
+import { saveProgress } from './watchHistory.js';
+
+/*
+ * POST /api/watch-progress   { videoId, position, duration? }
+ *
+ * Called by the player every few seconds while playing and on pause/close.
+ * The saved position comes back as `resume_at` from
+ * /api/view-videos?videoId=.
+ */
+async function handler(req, res) {
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  try {
+    const { videoId, position, duration } = req.body || {};
+    const positionSeconds = Number(position);
+    const clientDuration = Number(duration);
+
+    if (!videoId) {
+      return res.status(400).json({ success: false, error: 'Video ID required' });
+    }
+    if (!Number.isFinite(positionSeconds) || positionSeconds < 0) {
+      return res.status(400).json({ success: false, error: 'position must be a non-negative number of seconds' });
+    }
+
+    const video = await getViewableVideo(videoId, req.user, 'duration');
+
+    if (!video) {
+      return res.status(404).json({ success: false, error: 'Video not found' });
+    }
+
+    const result = await saveProgress(
+      req.user,
+      video,
+      positionSeconds,
+      Number.isFinite(clientDuration) && clientDuration > 0 ? clientDuration : null
+    );
+
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error('💥 Watch progress API error:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  }
+}
+
+export default requireUser(handler);
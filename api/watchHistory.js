@@ -0,0 +1,148 @@
+import { createClient } from '@supabase/supabase-js';
+import { keysetFilter } from './pagination.js';
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/*
+ * watch_history holds one row per (user_id, video_id): the last time the user
+ * watched the video and where they stopped. Re-watching moves the row back to
+ * the top instead of adding a duplicate. Nothing is recorded while
+ * users.history_paused is set.
+ */
+
+/**
+ * Record that `user` watched a video
+ * @param {object} user - session user (needs id and history_paused)
+ * @param {string} videoId
+ * @param {number|null} [positionSeconds] - last playback position, if known
+ * @returns {Promise<boolean>} whether an entry was written
+ */
+export async function recordWatch(user, videoId, positionSeconds = null) {
+  if (!user || user.history_paused) return false;
+
+  const entry = {
+    user_id: user.id,
+    video_id: videoId,
+    watched_at: new Date().toISOString()
+  };
+  if (positionSeconds !== null) {
+    entry.position_seconds = positionSeconds;
+  }
+
+  const { error } = await supabase
+    .from('watch_history')
+    .upsert(entry, { onConflict: 'user_id,video_id' });
+
+  if (error) {
+    console.error('❌ Watch history write error:', error);
+    return false;
+  }
+  return true;
+}
+
+// Most recent first; video_id breaks ties so the cursor is unambiguous
+const HISTORY_ORDER = [
+  { column: 'watched_at', ascending: false },
+  { column: 'video_id', ascending: true }
+];
+
+/**
+ * One page of a user's history, most recent first
+ * @param {string} userId
+ * @param {{ watched_at: string, video_id: string }|null} after - last entry of the previous page (validated)
+ * @param {number} limit
+ * @returns {Promise<{ entries: Array<object>, error: object|null }>}
+ */
+export async function getHistoryPage(userId, after, limit) {
+  let query = supabase
+    .from('watch_history')
+    .select('video_id, watched_at, position_seconds')
+    .eq('user_id', userId);
+
+  HISTORY_ORDER.forEach(({ column, ascending }) => {
+    query = query.order(column, { ascending });
+  });
+  if (after) {
+    query = query.or(keysetFilter(HISTORY_ORDER, after));
+  }
+
+  const { data, error } = await query.limit(limit);
+  return { entries: data || [], error };
+}
+
+// Past this share of the video it counts as watched to the end
+export const COMPLETED_RATIO = 0.9;
+
+// Resuming a few seconds in is not worth it
+const MIN_RESUME_SECONDS = 5;
+
+// Saves closer together than this are dropped; the player throttles itself too
+const MIN_SAVE_INTERVAL_MS = 2000;
+
+/**
+ * Save the playback position of `user` in a video
+ * @param {object} user - session user (needs id and history_paused)
+ * @param {{ id: string, duration: number|null }} video
+ * @param {number} positionSeconds
+ * @param {number|null} [clientDuration] - duration reported by the player, used when the row has none
+ * @returns {Promise<{ saved: boolean, completed: boolean, throttled?: boolean }>}
+ */
+export async function saveProgress(user, video, positionSeconds, clientDuration = null) {
+  const duration = video.duration || clientDuration;
+  const completed = !!duration && positionSeconds >= duration * COMPLETED_RATIO;
+
+  if (!user || user.history_paused) return { saved: false, completed };
+
+  const { data: existing } = await supabase
+    .from('watch_history')
+    .select('progress_updated_at, completed')
+    .eq('user_id', user.id)
+    .eq('video_id', video.id)
+    .maybeSingle();
+
+  const lastSave = existing?.progress_updated_at ? new Date(existing.progress_updated_at).getTime() : 0;
+  if (Date.now() - lastSave < MIN_SAVE_INTERVAL_MS && existing.completed === completed) {
+    return { saved: false, completed, throttled: true };
+  }
+
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('watch_history')
+    .upsert({
+      user_id: user.id,
+      video_id: video.id,
+      position_seconds: Math.floor(positionSeconds),
+      completed,
+      watched_at: now,
+      progress_updated_at: now
+    }, { onConflict: 'user_id,video_id' });
+
+  if (error) {
+    console.error('❌ Watch progress write error:', error);
+    return { saved: false, completed };
+  }
+  return { saved: true, completed };
+}
+
+/**
+ * Where playback should start for `userId`: 0 for unwatched or finished videos
+ * @param {string} userId
+ * @param {string} videoId
+ * @returns {Promise<{ resume_at: number, completed: boolean }>}
+ */
+export async function getResumePoint(userId, videoId) {
+  const { data } = await supabase
+    .from('watch_history')
+    .select('position_seconds, completed')
+    .eq('user_id', userId)
+    .eq('video_id', videoId)
+    .maybeSingle();
+
+  if (!data || data.completed || (data.position_seconds || 0) < MIN_RESUME_SECONDS) {
+    return { resume_at: 0, completed: !!data?.completed };
+  }
+  return { resume_at: data.position_seconds, completed: false };
+}
@@ -0,0 +1,50 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+
+// videoProbe.js creates its Supabase client on import
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || 'test-key';
+
+const { probeVideo } = await import('../api/videoProbe.js');
+
+// Two 16x16 frames of raw YUV 4:2:0 video, small enough to build in memory
+function y4mClip() {
+  const header = Buffer.from('YUV4MPEG2 W16 H16 F25:1 Ip A1:1 C420jpeg\n');
+  const frame = Buffer.concat([Buffer.from('FRAME\n'), Buffer.alloc(16 * 16 * 3 / 2, 128)]);
+  return Buffer.concat([header, frame, frame]);
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const clip = y4mClip();
+  server = createServer((req, res) => {
+    if (!req.url.startsWith('/videos/clip.y4m?')) {
+      res.writeHead(404).end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'video/x-yuv4mpeg', 'Content-Length': clip.length });
+    res.end(clip);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('probeVideo reads a signed URL with several query parameters', async () => {
+  const metadata = await probeVideo(`${baseUrl}/videos/clip.y4m?token=abc&expires=600&download=`);
+
+  assert.equal(metadata.container, 'yuv4mpegpipe');
+  assert.equal(metadata.video_codec, 'rawvideo');
+  assert.equal(metadata.width, 16);
+  assert.equal(metadata.height, 16);
+  assert.equal(metadata.frame_rate, 25);
+  assert.equal(metadata.audio_codec, null);
+});
+
+test('probeVideo rejects a URL that does not serve a video', async () => {
+  await assert.rejects(probeVideo(`${baseUrl}/missing.mp4?token=abc&expires=600`));
+});